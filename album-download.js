@@ -0,0 +1,87 @@
+// album-download.js - Helpers for downloading whole albums: concurrency, playlists and ZIP bundles
+import fs from 'fs';
+import { once } from 'events';
+import archiver from 'archiver';
+
+/**
+ * Calls fn(item, index) for every item, with at most `limit` calls running at once.
+ * Resolves with the results in item order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Characters that are not allowed (or are awkward) in file names on common systems
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+/**
+ * Makes a string usable as a file name (without extension).
+ */
+export function safeFileName(name, maxLength = 200) {
+    return String(name).replace(UNSAFE_FILENAME_CHARS, '_').trim().slice(0, maxLength);
+}
+
+/**
+ * File name of an album track inside the ZIP, e.g. "03 - Artist - Title.mp3".
+ */
+export function albumEntryName({ trackNumber, artist, title }, extension) {
+    const name = [String(trackNumber).padStart(2, '0'), artist, title].filter(Boolean).join(' - ');
+    return `${safeFileName(name)}.${extension}`;
+}
+
+/**
+ * Builds an extended M3U playlist of the given entries, in the order given.
+ * Each entry is { fileName, artist, title, duration }.
+ */
+export function buildM3uPlaylist(entries) {
+    const lines = ['#EXTM3U'];
+    for (const { fileName, artist, title, duration } of entries) {
+        lines.push(`#EXTINF:${Math.round(duration || -1)},${[artist, title].filter(Boolean).join(' - ')}`);
+        lines.push(fileName);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a ZIP file with the given files and playlist.
+ * Files are added one after another; openStream() is only called when a file's turn comes,
+ * so remote storage is not asked for every file at once.
+ *
+ * @param {string} outputPath - Where to write the ZIP
+ * @param {object[]} files - { fileName, openStream: async () => Readable }
+ * @param {object} playlist - { fileName, contents }
+ */
+export async function writeAlbumZip(outputPath, files, playlist) {
+    const output = fs.createWriteStream(outputPath);
+    // Audio is already compressed, so it is only stored
+    const archive = archiver('zip', { store: true });
+    archive.pipe(output);
+    const failed = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('error', reject);
+    });
+
+    const build = async () => {
+        for (const file of files) {
+            archive.append(await file.openStream(), { name: file.fileName });
+            await once(archive, 'entry');
+        }
+        archive.append(playlist.contents, { name: playlist.fileName });
+        await archive.finalize();
+        await once(output, 'close');
+    };
+    const building = build();
+    // Whichever of the two settles first decides; the other must not go unhandled
+    building.catch(() => {});
+    failed.catch(() => {});
+    await Promise.race([building, failed]);
+}
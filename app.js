@@ -0,0 +1,1984 @@
+// app.js - The Express app: every route and the subsystems behind them
+// server.js reads the configuration, sets up Firebase, storage and Redis, and starts the app
+// listening; the tests create it the same way with in-memory doubles.
+import express from 'express';
+import cors from 'cors';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto'; // For hashing URLs
+import { pipeline } from 'stream/promises';
+import { createSearchCache } from './search-cache.js';
+import {
+    SEARCH_SOURCES, DEFAULT_SEARCH_SOURCE, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT, MAX_SEARCH_OFFSET,
+    searchProvidersFor, searchPageArgs, toSearchResult, mergeSearchResults, isCollectionUrl
+} from './search-providers.js';
+import { createDownloadQueue } from './download-queue.js';
+import { parseDownloadProgress, isConversionLine } from './ytdlp-progress.js';
+import { YtDlpError, toYtDlpError, sendYtDlpError } from './ytdlp-errors.js';
+import { runYtDlp, runningYtDlpProcesses, buildCommonArgs, isSupportedSourceUrl, sanitizeSearchQuery } from './ytdlp-runner.js';
+import { createTrackMetadataStore, buildTrackRecord, withVariant, withAnalysis, recordedVariant, isTrackHash } from './track-metadata.js';
+import { contentTypeFor, resolveOutputVariant, variantStorageKey, normalizedStorageKey } from './audio-formats.js';
+import { analyzeAudio, writeNormalizedCopy, waveformKey } from './audio-analysis.js';
+import { buildTaggingArgs } from './audio-tags.js';
+import {
+    MAX_LRC_LENGTH, lyricsKey, parseLrc, parseSubtitles, lyricsFromDescription, pickSubtitleFile, buildLyrics,
+    isLanguageCode
+} from './lyrics.js';
+import { mapWithConcurrency, safeFileName, albumEntryName, buildM3uPlaylist, writeAlbumZip } from './album-download.js';
+import { createRequireAuth, createOptionalAuth, createRequireAdmin, hasMetricsToken } from './auth.js';
+import { createAccessTracker, createStorageMaintenance, storageGroupOf } from './storage-lifecycle.js';
+import { createHealthChecks, publicChecks } from './health.js';
+import {
+    registry, metricsMiddleware, registerGauge, searchCacheLookups, downloadedBytes, downloadJobs, ytdlpFailures
+} from './metrics.js';
+import { createRedisLibraryStore, createMemoryLibraryStore } from './library-store.js';
+import { createRateLimiter } from './rate-limit.js';
+import {
+    createRedisPlaylistStore, createMemoryPlaylistStore, canViewPlaylist, newPlaylistId, newShareToken,
+    PlaylistConflictError, VISIBILITIES, MAX_PLAYLIST_NAME_LENGTH, MAX_PLAYLIST_TRACKS
+} from './playlist-store.js';
+
+/**
+ * Creates the Express app with its queues, caches and stores.
+ *
+ * @param {object} options
+ * @param {object} options.config - From loadConfig (config.js)
+ * @param {object} options.storage - Storage backend (see storage/index.js); null if it could not be set up
+ * @param {object} options.redisClient - node-redis client (may be null, or not connected yet)
+ * @param {Function} options.verifyIdToken - async token => decoded Firebase ID token; null if
+ *   Firebase Auth is not set up (signed-in routes then answer 503)
+ * @param {string} options.audioDir - Existing directory downloads are written to before upload
+ * @returns {object} { app, maintenance } - maintenance (see storage-lifecycle.js) is null without storage
+ */
+export function createApp({ config, storage, redisClient: client, verifyIdToken, audioDir }) {
+    const app = express();
+    const COMMON_ARGS = buildCommonArgs(config.ytdlp);
+    const storageBackend = config.storage.backend;
+
+    // Mutating routes require a signed-in user (Firebase ID token in the Authorization header)
+    const requireAuth = createRequireAuth({ verifyIdToken });
+    const optionalAuth = createOptionalAuth({ verifyIdToken });
+    const requireAdmin = createRequireAdmin({ adminUids: config.adminUids });
+
+    // Behind a reverse proxy (e.g. on Render) the client IP is in X-Forwarded-For; rate limits
+    // need it, so TRUST_PROXY is passed on to Express ("true", a hop count or a list of addresses)
+    if (config.trustProxy) {
+        const trustProxy = config.trustProxy;
+        app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+    }
+
+    // Middleware
+    app.use(metricsMiddleware); // Counts and times every request for /metrics
+    app.use(cors({
+        origin: config.corsOrigins,
+        credentials: true
+    })); // Enable CORS for specific origins
+    app.use(express.json()); // Parse JSON request bodies
+
+    // Metadata of processed tracks is kept in the same storage, next to the audio
+    const trackStore = storage ? createTrackMetadataStore(storage) : null;
+
+    // Root endpoint for a basic status check
+    app.get('/', (req, res) => {
+        res.send('Music Player Backend is running! Temporary audio directory created if needed.');
+    });
+
+
+    // Search results are cached by normalized query; falls back to an in-process cache while Redis is down
+    const searchCache = createSearchCache({
+        redisClient: client,
+        ttlSeconds: config.searchCache.ttlSeconds
+    });
+
+    // Stored files: when each track was last used, the storage quota (STORAGE_QUOTA_MB, least
+    // recently used tracks are evicted first) and the sweep of leftovers in audio_temp
+    const accessTracker = createAccessTracker({ redisClient: client });
+    const maintenance = storage ? createStorageMaintenance({
+        storage,
+        accessTracker,
+        tempDir: audioDir,
+        quotaBytes: config.storage.quotaBytes,
+        minIdleMs: config.storage.minIdleMs,
+        tempMaxAgeMs: config.storage.tempMaxAgeMs,
+        // The stores are created further down; this only runs once the app is up
+        referencedGroups: async () => {
+            const [libraryHashes, playlistHashes] = await Promise.all([
+                libraryStore.referencedHashes(),
+                playlistStore.referencedHashes()
+            ]);
+            return new Set([...libraryHashes, ...playlistHashes].map(hash => `audio/${hash}`));
+        }
+    }) : null;
+
+
+    // Routes that start yt-dlp are rate limited per user (or per IP when not signed in).
+    // Each limit is "<requests>/<seconds>" (RATE_LIMIT_SEARCH etc.), or "off".
+    const rateLimit = {
+        search: createRateLimiter({
+            redisClient: client,
+            name: 'search',
+            rate: config.rateLimits.search,
+            // source=all runs one yt-dlp search per provider
+            cost: req => (SEARCH_SOURCES.includes(req.query.source) ? searchProvidersFor(req.query.source).length : 1)
+        }),
+        download: createRateLimiter({
+            redisClient: client,
+            name: 'download',
+            rate: config.rateLimits.download
+        }),
+        albumTracks: createRateLimiter({
+            redisClient: client,
+            name: 'album-tracks',
+            rate: config.rateLimits.albumTracks
+        }),
+        albumDownload: createRateLimiter({
+            redisClient: client,
+            name: 'album-download',
+            rate: config.rateLimits.albumDownload
+        }),
+        lyrics: createRateLimiter({
+            redisClient: client,
+            name: 'lyrics',
+            rate: config.rateLimits.lyrics
+        })
+    };
+
+    /**
+     * toYtDlpError that also counts the failure for /metrics. An error that is already a
+     * YtDlpError was counted when it was classified, so it is not counted again.
+     */
+    function ytdlpFailure(error, context) {
+        const failure = toYtDlpError(error, context);
+        if (failure !== error) {
+            ytdlpFailures.inc({ code: failure.code });
+        }
+        return failure;
+    }
+
+    /**
+     * Searches one provider for one page of results, through the search cache.
+     * Resolves with { results, cached }; rejects with the runYtDlp error if yt-dlp fails.
+     */
+    async function searchProvider(provider, query, { offset, limit }) {
+        const scope = `${provider.name}.${offset}.${limit}`;
+        try {
+            const cachedResults = await searchCache.get(query, scope);
+            searchCacheLookups.inc({ result: cachedResults ? 'hit' : 'miss' });
+            if (cachedResults) {
+                console.log(`Serving cached ${provider.label} search results for: ${query}`);
+                return { results: cachedResults, cached: true };
+            }
+        } catch (cacheError) {
+            console.warn(`Search cache lookup failed for "${query}": ${cacheError.message}`);
+        }
+        console.log(`Searching ${provider.label} for: ${query} (results ${offset + 1}-${offset + limit})`);
+        // No --flat-playlist: we want full metadata (including album info)
+        const { stdout, stderr } = await runYtDlp(
+            ['--dump-json', ...COMMON_ARGS, ...searchPageArgs(provider, query, { offset, limit })],
+            config.ytdlp.search
+        );
+        if (stderr) {
+            console.warn(`stderr for ${provider.label} search (non-error output): ${stderr}`);
+        }
+        const results = stdout.split('\n').filter(line => line.trim() !== '').map(line => {
+            try {
+                return toSearchResult(JSON.parse(line), provider);
+            } catch (parseError) {
+                console.warn('Could not parse JSON line from yt-dlp output:', line, parseError);
+                return null;
+            }
+        }).filter(item => item !== null);
+        searchCache.set(query, scope, results).catch(cacheError => {
+            console.warn(`Failed to cache search results for "${query}": ${cacheError.message}`);
+        });
+        return { results, cached: false };
+    }
+
+    // Reads an optional whole-number query parameter; returns NaN if it is not one
+    function integerParam(value, fallback) {
+        if (value === undefined || value === '') {
+            return fallback;
+        }
+        return /^\d+$/.test(value) ? Number(value) : NaN;
+    }
+
+    /**
+     * /search endpoint
+     * Searches for tracks by name using yt-dlp.
+     * Expects a query parameter 'q', and optionally:
+     *   'source' - soundcloud (default), youtube or all (every provider, results merged and de-duplicated)
+     *   'limit'  - results per page (default 30, at most 50; per provider with source=all)
+     *   'offset' - how many results to skip (at most 200); the response's 'nextOffset' is the
+     *              offset of the next page, or null if there are no more results
+     * Every result names the 'provider' it came from.
+     * Results are cached; the response's 'cached' flag tells whether this was a cache hit.
+     * Rate limited per user or IP (RATE_LIMIT_SEARCH); source=all counts once per provider.
+     */
+    app.get('/search', optionalAuth, rateLimit.search, async (req, res) => {
+        const query = sanitizeSearchQuery(req.query.q);
+        if (!query) {
+            return res.status(400).json({ success: false, message: 'Search query is required.' });
+        }
+        const source = req.query.source || DEFAULT_SEARCH_SOURCE;
+        if (!SEARCH_SOURCES.includes(source)) {
+            return res.status(400).json({ success: false, message: `Unknown search source. Use one of: ${SEARCH_SOURCES.join(', ')}.` });
+        }
+        const limit = integerParam(req.query.limit, DEFAULT_SEARCH_LIMIT);
+        const offset = integerParam(req.query.offset, 0);
+        if (!(limit >= 1 && limit <= MAX_SEARCH_LIMIT)) {
+            return res.status(400).json({ success: false, message: `limit must be a number from 1 to ${MAX_SEARCH_LIMIT}.` });
+        }
+        if (!(offset >= 0 && offset <= MAX_SEARCH_OFFSET)) {
+            return res.status(400).json({ success: false, message: `offset must be a number from 0 to ${MAX_SEARCH_OFFSET}.` });
+        }
+
+        const providers = searchProvidersFor(source);
+        const outcomes = await Promise.allSettled(providers.map(provider => searchProvider(provider, query, { offset, limit })));
+        // Clients get stable error codes; the raw stderr is only logged
+        const failedProviders = outcomes.flatMap((outcome, index) => (outcome.status === 'rejected'
+            ? [{ provider: providers[index].name, error: ytdlpFailure(outcome.reason, `/search (${providers[index].label})`) }]
+            : []));
+        if (failedProviders.length === providers.length) {
+            return sendYtDlpError(res, failedProviders[0].error);
+        }
+
+        const pages = outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+        const resultLists = pages.map(page => page.results);
+        const hasMore = resultLists.some(results => results.length === limit) && offset + limit <= MAX_SEARCH_OFFSET;
+        res.json({
+            success: true,
+            cached: pages.every(page => page.cached),
+            source,
+            offset,
+            limit,
+            nextOffset: hasMore ? offset + limit : null,
+            results: source === 'all' ? mergeSearchResults(resultLists) : resultLists[0],
+            // With source=all, the providers that failed (the others' results are still returned)
+            failedProviders: failedProviders.map(({ provider, error }) => ({ provider, code: error.code, retryable: error.retryable }))
+        });
+    });
+
+    /**
+     * DELETE /search/cache endpoint
+     * Evicts cached search results. Administrators only (ADMIN_UIDS).
+     * With a query parameter 'q' only that query is evicted, otherwise all cached searches are.
+     */
+    app.delete('/search/cache', requireAuth, requireAdmin, async (req, res) => {
+        const query = req.query.q;
+        try {
+            const removed = await searchCache.evict(query);
+            console.log(`Evicted ${removed} search cache entr${removed === 1 ? 'y' : 'ies'}${query ? ` for: ${query}` : ''}`);
+            res.json({ success: true, removed });
+        } catch (error) {
+            console.error(`Failed to evict search cache: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to evict search cache: ${error.message}` });
+        }
+    });
+
+    /**
+     * Fetches the yt-dlp info JSON for a URL without downloading it.
+     * Resolves with null if it cannot be extracted.
+     */
+    async function fetchTrackInfo(url) {
+        try {
+            const { stdout } = await runYtDlp(['--dump-json', ...COMMON_ARGS, '--', url], config.ytdlp.info);
+            return JSON.parse(stdout);
+        } catch (metaError) {
+            console.warn(`Error getting metadata for ${url}: ${metaError.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Reads and removes the info JSON yt-dlp wrote next to a download (--write-info-json).
+     * Resolves with null if there is none or it cannot be parsed.
+     */
+    async function takeInfoJson(localBaseName) {
+        // Exactly this name: other runs (such as lyrics in en-US next to en) share the prefix
+        const infoPath = path.join(audioDir, `${localBaseName}.info.json`);
+        let info = null;
+        try {
+            info = JSON.parse(await fs.promises.readFile(infoPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Failed to parse yt-dlp info JSON ${infoPath}: ${error.message}`);
+            }
+        }
+        await fs.promises.rm(infoPath, { force: true });
+        return info;
+    }
+
+    /**
+     * Removes the temporary files of a download (the audio and anything yt-dlp left next to it).
+     */
+    async function removeLocalFiles(localBaseName) {
+        const leftovers = (await fs.promises.readdir(audioDir)).filter(name => name.startsWith(`${localBaseName}.`));
+        for (const name of leftovers) {
+            await fs.promises.rm(path.join(audioDir, name), { force: true });
+            console.log(`Cleaned up temporary local file: ${path.join(audioDir, name)}`);
+        }
+    }
+
+    // Fields of a stored track record that go into a download job's result
+    function trackResult(record) {
+        return {
+            title: record.title,
+            artist: record.artist,
+            thumbnail: record.thumbnail,
+            track: record
+        };
+    }
+
+    /**
+     * Stores the track record with the given variant added, keeping the variants (and anything else,
+     * such as an earlier analysis) already stored. With analyzed (from analyzeDownload) the analysis
+     * is stored as well. Failing to store metadata does not fail the download; the record is returned either way.
+     */
+    async function saveTrackVariant(record, variant, storageKey, analyzed = null) {
+        const mergeInto = storedRecord => {
+            const merged = withVariant({ ...storedRecord, ...record, variants: { ...storedRecord?.variants, ...record.variants } }, variant, storageKey);
+            return analyzed ? withAnalysis(merged, analyzed, variant.id) : merged;
+        };
+        try {
+            return await trackStore.update(record.hash, mergeInto);
+        } catch (saveError) {
+            console.error(`Failed to store metadata for ${record.hash}: ${saveError.message}`);
+            return mergeInto(null);
+        }
+    }
+
+    /**
+     * Runs the opt-in analysis of a job's audio file (job.analyze, or job.normalize which implies it):
+     * measures its duration and loudness, stores its waveform and, with job.normalize, uploads a copy
+     * normalized to NORMALIZE_TARGET_LUFS. Resolves with { analysis, normalized } for withAnalysis,
+     * or with null if the analysis failed: a track that cannot be analysed is still a good download.
+     */
+    async function analyzeDownload(job, localFilePath, localBaseName) {
+        const { hash, variant } = job;
+        try {
+            console.log(`Analysing ${localFilePath}${job.normalize ? ' and writing a normalized copy' : ''}`);
+            const { duration, loudness, measurement, waveform } = await analyzeAudio(localFilePath, config.analysis);
+            await storage.write(waveformKey(hash), JSON.stringify({ duration, ...waveform }), { contentType: 'application/json' });
+
+            let normalized = null;
+            if (job.normalize) {
+                const normalizedPath = path.join(audioDir, `${localBaseName}.normalized.${variant.extension}`);
+                await writeNormalizedCopy(localFilePath, normalizedPath, { ...config.analysis, measurement, variant });
+                normalized = { storageKey: normalizedStorageKey(hash, variant), targetLufs: config.analysis.targetLufs };
+                await storage.upload(normalizedPath, normalized.storageKey, { contentType: contentTypeFor(normalizedPath) });
+                downloadedBytes.inc((await fs.promises.stat(normalizedPath)).size);
+            }
+            console.log(`Analysis of ${hash} (${variant.id}): ${loudness.integratedLufs} LUFS, track gain ${loudness.trackGainDb} dB.`);
+            return {
+                analysis: { duration, loudness, waveformKey: waveformKey(hash), analyzedAt: new Date().toISOString() },
+                normalized
+            };
+        } catch (error) {
+            console.error(`Audio analysis of ${hash} (${variant.id}) failed: ${error.message}`);
+            if (error.stderr) {
+                console.error(`stderr of audio analysis: ${error.stderr}`);
+            }
+            return null;
+        }
+    }
+
+    // Whether a stored track still lacks the analysis the job asks for
+    function needsAnalysis(job, record) {
+        if (!job.analyze && !job.normalize) {
+            return false;
+        }
+        return !record.analysis || Boolean(job.normalize && !record.variants?.[job.variant.id]?.normalized);
+    }
+
+    /**
+     * Processes one download job: downloads audio from the job's URL, converts it to the job's
+     * output variant (format and quality), tags it, uploads it to the storage backend together with its
+     * metadata record and resolves with its URL and the track metadata.
+     * If the variant is already stored, its stored metadata is served without running yt-dlp.
+     */
+    async function processDownloadJob(job, update) {
+        const { url, hash: filenameHash, variant, albumItem } = job;
+        const localBaseName = `${filenameHash}-${variant.id}`;
+        const localOutputFileName = `${localBaseName}.${variant.extension}`;
+        const localOutputFilePath = path.join(audioDir, localOutputFileName); // Temporary local path
+        const storageKey = variantStorageKey(filenameHash, variant); // Key in the storage backend
+
+        const readStoredRecord = () => trackStore.get(filenameHash).catch(readError => {
+            console.warn(`Failed to read stored metadata for ${filenameHash}: ${readError.message}`);
+            return null;
+        });
+
+        // 1. Check if the file is already stored
+        try {
+            if (await storage.exists(storageKey)) {
+                console.log(`File ${storageKey} already exists in ${storage.name} storage. Serving existing URL.`);
+                accessTracker.record(storageGroupOf(storageKey));
+                const storageUrl = await storage.getUrl(storageKey);
+                let record = await readStoredRecord();
+                if (!record) {
+                    // Processed before metadata was stored: look it up once and keep it from now on
+                    const info = await fetchTrackInfo(url);
+                    if (info) {
+                        record = buildTrackRecord(info, { hash: filenameHash, sourceUrl: url });
+                    }
+                }
+                if (record && !record.variants?.[variant.id]) {
+                    record = await saveTrackVariant(record, variant, storageKey);
+                }
+                if (record && needsAnalysis(job, record)) {
+                    // Analysed from a local copy of the stored file; yt-dlp is not needed again
+                    update({ state: 'analyzing' });
+                    let analyzed = null;
+                    try {
+                        await pipeline(await storage.openReadStream(storageKey), fs.createWriteStream(localOutputFilePath));
+                        analyzed = await analyzeDownload(job, localOutputFilePath, localBaseName);
+                    } catch (copyError) {
+                        console.error(`Failed to copy ${storageKey} for analysis: ${copyError.message}`);
+                    } finally {
+                        await removeLocalFiles(localBaseName);
+                    }
+                    if (analyzed) {
+                        record = await trackStore.update(filenameHash, storedRecord => withAnalysis(storedRecord || record, analyzed, variant.id))
+                            .catch(saveError => {
+                                console.error(`Failed to store the analysis of ${filenameHash}: ${saveError.message}`);
+                                return withAnalysis(record, analyzed, variant.id);
+                            });
+                    }
+                }
+                return {
+                    message: 'Audio already processed and available.',
+                    alreadyStored: true,
+                    audioUrl: storageUrl,
+                    ...(record ? trackResult(record) : {
+                        title: `Previously Downloaded Track (ID: ${filenameHash.substring(0, 8)})`,
+                        artist: 'Unknown',
+                        thumbnail: null,
+                        track: null
+                    })
+                };
+            }
+        } catch (storageCheckError) {
+            console.error(`Error checking ${storage.name} storage file existence for ${url}: ${storageCheckError.message}`);
+            // If checking fails, proceed with download and upload.
+            // This might happen due to permissions or network issues with the storage service itself.
+        }
+
+        console.log(`Starting download and conversion (${variant.id}) for ${url} to temporary local path: ${localOutputFilePath}`);
+        update({ state: 'downloading' });
+        // Extract audio, convert it to the requested format, tag it, embed the cover art
+        // and save it as localOutputFilePath (yt-dlp fills in the extension of the converted file).
+        // The info JSON is written next to it so the metadata needs no second yt-dlp run.
+        // --newline makes yt-dlp print every progress update on its own line.
+        const args = [
+            '-x', ...variant.ytdlpArgs,
+            ...buildTaggingArgs(albumItem),
+            '-o', path.join(audioDir, `${localBaseName}.%(ext)s`),
+            '--write-info-json',
+            '-o', `infojson:${path.join(audioDir, localBaseName)}`,
+            ...COMMON_ARGS,
+            '--force-overwrites',
+            '--newline',
+            '--', url
+        ];
+
+        let info;
+        try {
+            const { stderr } = await runYtDlp(args, {
+                ...config.ytdlp.download,
+                onLine: line => {
+                    const progress = parseDownloadProgress(line);
+                    if (progress && job.state === 'downloading') {
+                        update({ progress });
+                    } else if (isConversionLine(line) && job.state === 'downloading') {
+                        update({ state: 'converting' });
+                    }
+                }
+            });
+            if (stderr) {
+                console.warn(`stderr for download (non-error output): ${stderr}`);
+            }
+            if (!fs.existsSync(localOutputFilePath)) {
+                throw new Error(`yt-dlp finished but ${localOutputFileName} was not created`);
+            }
+        } catch (error) {
+            // Clean up potentially incomplete local files
+            await removeLocalFiles(localBaseName);
+            throw ytdlpFailure(error, `download of ${url}`);
+        } finally {
+            // Picked up (and removed) whether or not the download succeeded
+            info = await takeInfoJson(localBaseName);
+        }
+
+        console.log(`Download/Conversion successful for ${url} to local temporary storage.`);
+
+        // 2. Analyse the audio, if the job asks for it (read from job, as a merged request may have asked since)
+        let analyzed = null;
+        if (job.analyze || job.normalize) {
+            update({ state: 'analyzing' });
+            analyzed = await analyzeDownload(job, localOutputFilePath, localBaseName);
+        }
+
+        // 3. Upload to the storage backend
+        update({ state: 'uploading' });
+        let storageUrl;
+        try {
+            console.log(`Uploading ${localOutputFilePath} to ${storage.name} storage at ${storageKey}`);
+            await storage.upload(localOutputFilePath, storageKey, { contentType: contentTypeFor(localOutputFileName) });
+            console.log(`Successfully uploaded to ${storage.name} storage.`);
+            downloadedBytes.inc((await fs.promises.stat(localOutputFilePath)).size);
+            accessTracker.record(storageGroupOf(storageKey));
+
+            // A direct URL to the file; signed and short-lived on Firebase and S3 (SIGNED_URL_TTL_MINUTES)
+            storageUrl = await storage.getUrl(storageKey);
+            console.log(`Storage URL: ${storageUrl}`);
+        } catch (uploadError) {
+            console.error(`Error uploading to ${storage.name} storage or getting a URL for ${url}: ${uploadError.message}`);
+            throw new Error(`Failed to upload audio to cloud storage: ${uploadError.message}`);
+        } finally {
+            // 4. Clean up local temporary files, whether or not the upload succeeded
+            await removeLocalFiles(localBaseName);
+        }
+
+        // 5. Store the metadata next to the audio file, keeping the variants processed before.
+        // Only if yt-dlp did not write the info JSON is it asked for the metadata separately.
+        info = info || await fetchTrackInfo(url);
+        if (!info) {
+            // Still success as the file is downloaded and uploaded to storage
+            return {
+                message: 'Audio downloaded, uploaded, but metadata extraction failed.',
+                audioUrl: storageUrl,
+                title: 'Downloaded Track (Metadata N/A)',
+                artist: 'Unknown',
+                thumbnail: null,
+                track: null
+            };
+        }
+        const record = await saveTrackVariant(buildTrackRecord(info, { hash: filenameHash, sourceUrl: url }), variant, storageKey, analyzed);
+        return {
+            message: 'Audio downloaded, converted, and uploaded to storage!',
+            audioUrl: storageUrl,
+            ...trackResult(record)
+        };
+    }
+
+    const downloadQueue = createDownloadQueue({
+        concurrency: config.downloads.concurrency,
+        processJob: (job, update) => processDownloadJob(job, update).then(result => {
+            downloadJobs.inc({ state: 'done' });
+            return result;
+        }, error => {
+            downloadJobs.inc({ state: 'failed' });
+            throw error;
+        }),
+        retentionMs: config.downloads.retentionMs // Finished jobs can be polled this long (an hour by default)
+    });
+
+    // Jobs are deduplicated per source URL and output variant
+    function downloadJobKey(filenameHash, variant) {
+        return `${filenameHash}:${variant.id}`;
+    }
+
+    // Shape of a job in API responses
+    function toJobResponse(job) {
+        return {
+            id: job.id,
+            url: job.url,
+            hash: job.hash,
+            format: job.variant.format,
+            quality: job.variant.quality,
+            state: job.state,
+            progress: job.progress || null,
+            message: job.message || null,
+            audioUrl: job.audioUrl || null,
+            streamUrl: job.state === 'done' ? `/stream/${job.hash}?format=${job.variant.format}&quality=${job.variant.quality}` : null,
+            normalizedStreamUrl: job.state === 'done' && job.track?.variants?.[job.variant.id]?.normalized
+                ? `/stream/${job.hash}?format=${job.variant.format}&quality=${job.variant.quality}&normalized=true`
+                : null,
+            analyze: Boolean(job.analyze || job.normalize),
+            normalize: Boolean(job.normalize),
+            title: job.title || null,
+            artist: job.artist || null,
+            thumbnail: job.thumbnail || null,
+            track: job.track || null,
+            error: job.error || null,
+            errorCode: job.errorCode || null,
+            retryable: job.retryable ?? null,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+    }
+
+    /**
+     * /download-mp3 endpoint
+     * Queues a job that downloads audio from a given URL, converts it (to MP3 unless
+     * another format is asked for) and uploads it to the configured storage backend.
+     * Expects a JSON body with a 'url' property, and optionally 'format'
+     * (mp3, m4a/aac, opus, ogg, flac) and 'quality' (default, best or a bitrate such as 128k).
+     * Opt-in processing: 'analyze: true' measures loudness (stored as ReplayGain-style gain and peak),
+     * the exact duration and the waveform (GET /tracks/:hash/waveform); 'normalize: true' does the same
+     * and also stores a copy normalized to NORMALIZE_TARGET_LUFS (GET /stream/:hash?normalized=true).
+     * Requires a signed-in user; rate limited per user (RATE_LIMIT_DOWNLOAD).
+     * Responds right away with 202 and a job id; poll GET /jobs/:id for the result.
+     * A URL that is already queued or downloading is merged into the existing job.
+     */
+    app.post('/download-mp3', requireAuth, rateLimit.download, async (req, res) => {
+        console.log('Backend: Received POST /download-mp3 request. Raw body:', req.body);
+        const { url, format, quality, analyze, normalize } = req.body;
+        console.log('Backend: Extracted URL from body:', url);
+
+        if (!storage) {
+            const message = storageBackend === 'firebase'
+                ? 'Firebase Admin SDK is not initialized. Cannot process download and upload to storage.'
+                : `Storage backend "${storageBackend}" is not available. Cannot process download and upload to storage.`;
+            return res.status(500).json({ success: false, message });
+        }
+        if (!url) {
+            return res.status(400).json({ success: false, message: 'Source URL is required for download.' });
+        }
+        if (!isSupportedSourceUrl(url)) {
+            return res.status(400).json({ success: false, message: 'Unsupported URL for download. Only SoundCloud, YouTube and Bandcamp links are accepted.' });
+        }
+        if ((analyze !== undefined && typeof analyze !== 'boolean') || (normalize !== undefined && typeof normalize !== 'boolean')) {
+            return res.status(400).json({ success: false, message: '"analyze" and "normalize" must be true or false.' });
+        }
+        let variant;
+        try {
+            variant = resolveOutputVariant(format, quality);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        // Use a hash of the original URL as the filename to prevent issues with special characters and ensure uniqueness
+        const filenameHash = crypto.createHash('md5').update(url).digest('hex');
+        const { job, merged } = downloadQueue.enqueue(downloadJobKey(filenameHash, variant), {
+            url,
+            hash: filenameHash,
+            variant,
+            analyze: Boolean(analyze || normalize),
+            normalize: Boolean(normalize)
+        });
+        if (merged) {
+            // The running job picks these up as long as it has not got to the analysis yet
+            job.analyze = job.analyze || Boolean(analyze || normalize);
+            job.normalize = job.normalize || Boolean(normalize);
+        }
+        console.log(`${merged ? 'Merged into existing' : 'Queued new'} download job ${job.id} for ${url}`);
+
+        res.status(202).json({
+            success: true,
+            message: merged ? 'This URL is already being processed.' : 'Download queued.',
+            jobId: job.id,
+            merged,
+            job: toJobResponse(job)
+        });
+    });
+
+    /**
+     * /jobs/:id endpoint
+     * Reports the state of a download job (queued, downloading, converting, analyzing, uploading, done, failed),
+     * with the metadata once done, or the error message if it failed.
+     * Clients play the track from 'streamUrl' (GET /stream/:hash). 'audioUrl' is a direct storage
+     * URL that expires after SIGNED_URL_TTL_MINUTES on Firebase and S3; it is not meant to be kept.
+     * The local backend has no direct URLs, so 'audioUrl' is null there.
+     */
+    app.get('/jobs/:id', (req, res) => {
+        const job = downloadQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found. It may have expired.' });
+        }
+        res.json({ success: true, job: toJobResponse(job) });
+    });
+
+    /**
+     * /tracks/:hash endpoint
+     * Returns the stored metadata record of a processed track, by the md5 hash of its source URL.
+     */
+    app.get('/tracks/:hash', async (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        if (!trackStore) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        try {
+            const track = await trackStore.get(hash);
+            if (!track) {
+                return res.status(404).json({ success: false, message: 'Track not found. It has not been processed yet.' });
+            }
+            res.json({ success: true, track });
+        } catch (error) {
+            console.error(`Failed to read metadata for track ${hash}: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to read track metadata: ${error.message}` });
+        }
+    });
+
+    /**
+     * /tracks/:hash/waveform endpoint
+     * Returns the waveform of an analysed track for drawing a scrubber:
+     * { duration, points, maxPeak, peaks } where peaks are whole numbers from 0 to maxPeak,
+     * one per equal slice of the track. Tracks are analysed when downloaded with 'analyze: true'.
+     */
+    app.get('/tracks/:hash/waveform', async (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        if (!storage) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        try {
+            const contents = await storage.read(waveformKey(hash));
+            if (!contents) {
+                return res.status(404).json({ success: false, message: 'No waveform for this track. Download it with "analyze": true first.' });
+            }
+            res.set('Cache-Control', 'private, max-age=3600');
+            res.json({ success: true, hash, waveform: JSON.parse(contents.toString('utf8')) });
+        } catch (error) {
+            console.error(`Failed to read the waveform of track ${hash}: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to read waveform: ${error.message}` });
+        }
+    });
+
+    // Lyrics being fetched with yt-dlp, by '<track hash>:<language>', so concurrent requests
+    // for the same lyrics share one run
+    const lyricsFetches = new Map();
+
+    /**
+     * Fetches the lyrics of a track from its source with yt-dlp: subtitles (LRC, WebVTT or SRT)
+     * in the preferred language if the source has any, otherwise lyrics in the description.
+     * Only subtitles in the preferred language (and its regional variants) are downloaded at
+     * first; the other languages only when the source has no usable ones in it.
+     * Resolves with the lyrics document to store (with no lines if nothing was found);
+     * rejects with a YtDlpError if yt-dlp fails.
+     */
+    async function fetchLyrics(hash, sourceUrl, language) {
+        // Per language, as fetches of the same track in other languages may run at the same time
+        const localBaseName = `${hash}-lyrics-${language}`;
+        const preferred = language.toLowerCase();
+        const isPreferredLanguage = code => code.toLowerCase() === preferred || code.toLowerCase().startsWith(`${preferred}-`);
+
+        // Writes the subtitles in the given languages (a --sub-langs value) and, withInfo, the info JSON
+        const writeSubtitles = async (subLangs, withInfo) => {
+            try {
+                await runYtDlp([
+                    '--skip-download',
+                    '--write-subs',
+                    '--sub-langs', subLangs,
+                    '--sub-format', 'lrc/vtt/srt/best',
+                    '-o', `subtitle:${path.join(audioDir, `${localBaseName}.%(ext)s`)}`,
+                    ...(withInfo ? ['--write-info-json', '-o', `infojson:${path.join(audioDir, localBaseName)}`] : []),
+                    ...COMMON_ARGS,
+                    '--', sourceUrl
+                ], config.ytdlp.info);
+            } catch (error) {
+                throw ytdlpFailure(error, `lyrics of ${hash}`);
+            }
+        };
+
+        // The lyrics of the best subtitle file written so far, or null if none has any lines
+        const readSubtitles = async () => {
+            const subtitleFile = pickSubtitleFile(await fs.promises.readdir(audioDir), localBaseName, language);
+            if (!subtitleFile) {
+                return null;
+            }
+            const text = await fs.promises.readFile(path.join(audioDir, subtitleFile.fileName), 'utf8');
+            const parsed = parseSubtitles(text, subtitleFile.format);
+            if (parsed.lines.length === 0) {
+                return null;
+            }
+            console.log(`Lyrics of track ${hash} taken from ${subtitleFile.language} subtitles (${subtitleFile.format}).`);
+            return buildLyrics(hash, parsed, { source: 'subtitles', language: subtitleFile.language });
+        };
+
+        try {
+            await writeSubtitles(`${language},${language}-.*`, true);
+            const info = await takeInfoJson(localBaseName);
+            let fromSubtitles = await readSubtitles();
+            const otherLanguages = Object.keys((info && info.subtitles) || {})
+                .filter(code => code !== 'live_chat' && !isPreferredLanguage(code));
+            if (!fromSubtitles && otherLanguages.length > 0) {
+                console.log(`No ${language} subtitles for track ${hash}; fetching the other languages (${otherLanguages.join(', ')}).`);
+                await writeSubtitles('all,-live_chat', false);
+                fromSubtitles = await readSubtitles();
+            }
+            if (fromSubtitles) {
+                return fromSubtitles;
+            }
+            const fromDescription = lyricsFromDescription(info && info.description);
+            if (fromDescription) {
+                console.log(`Lyrics of track ${hash} taken from its description.`);
+                return buildLyrics(hash, fromDescription, { source: 'description', language: (info && info.language) || null });
+            }
+            console.log(`No lyrics found for track ${hash} at ${sourceUrl}.`);
+            return buildLyrics(hash, null, {});
+        } finally {
+            await removeLocalFiles(localBaseName);
+        }
+    }
+
+    // Reads the stored lyrics of a track; resolves with null if there are none
+    async function readStoredLyrics(hash) {
+        const contents = await storage.read(lyricsKey(hash));
+        return contents ? JSON.parse(contents.toString('utf8')) : null;
+    }
+
+    // Stores the lyrics of a track next to its audio
+    async function saveLyrics(lyrics) {
+        await storage.write(lyricsKey(lyrics.hash), JSON.stringify(lyrics), { contentType: 'application/json' });
+    }
+
+    /**
+     * /tracks/:hash/lyrics endpoint (GET)
+     * Returns the lyrics of a processed track for the player's lyrics pane:
+     * { hash, source, language, synced, lines: [{ time, text }], updatedAt, updatedBy }
+     * where 'time' is the start of a line in seconds, or null when the lyrics are not synced.
+     * The first request takes them from the track's source with yt-dlp (subtitles, or lyrics
+     * in the description) and stores the result next to the track, including finding none,
+     * which answers 404. Optional query parameters:
+     *   'lang'    - preferred subtitle language (default LYRICS_LANGUAGE)
+     *   'refresh' - 'true' fetches them again; uploaded lyrics are never replaced this way
+     * Rate limited per user or IP (RATE_LIMIT_LYRICS).
+     */
+    app.get('/tracks/:hash/lyrics', optionalAuth, rateLimit.lyrics, async (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        const { lang, refresh } = req.query;
+        if (lang !== undefined && !isLanguageCode(lang)) {
+            return res.status(400).json({ success: false, message: 'Invalid "lang". Expected a language code such as "en" or "pt-BR".' });
+        }
+        if (refresh !== undefined && refresh !== 'true' && refresh !== 'false') {
+            return res.status(400).json({ success: false, message: 'Invalid "refresh". Expected "true" or "false".' });
+        }
+        if (!trackStore || !storage) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        try {
+            let lyrics = await readStoredLyrics(hash);
+            const cached = Boolean(lyrics) && (refresh !== 'true' || lyrics.source === 'upload');
+            if (!cached) {
+                const track = await trackStore.get(hash);
+                if (!track) {
+                    return res.status(404).json({ success: false, message: 'Track not found. It has not been processed yet.' });
+                }
+                const language = lang || config.lyrics.language;
+                const fetchKey = `${hash}:${language}`;
+                if (!lyricsFetches.has(fetchKey)) {
+                    const fetching = fetchLyrics(hash, track.sourceUrl, language)
+                        .then(async fetched => {
+                            await saveLyrics(fetched);
+                            return fetched;
+                        })
+                        .finally(() => lyricsFetches.delete(fetchKey));
+                    lyricsFetches.set(fetchKey, fetching);
+                }
+                lyrics = await lyricsFetches.get(fetchKey);
+            }
+            if (lyrics.lines.length === 0) {
+                return res.status(404).json({ success: false, cached, message: 'No lyrics found for this track. Signed-in users can upload them as LRC.' });
+            }
+            res.json({ success: true, cached, lyrics });
+        } catch (error) {
+            if (error instanceof YtDlpError) {
+                return sendYtDlpError(res, error);
+            }
+            console.error(`Failed to get lyrics for track ${hash}: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to get lyrics: ${error.message}` });
+        }
+    });
+
+    /**
+     * /tracks/:hash/lyrics endpoint (PUT)
+     * Uploads or corrects the lyrics of a processed track. Expects a JSON body with 'lrc':
+     * LRC text, synced ([mm:ss.xx] tags) or plain, and optionally 'language'.
+     * Replaces whatever lyrics the track had; they are not fetched from the source again.
+     * Requires a signed-in user, recorded as 'updatedBy'.
+     */
+    app.put('/tracks/:hash/lyrics', requireAuth, async (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        const { lrc, language } = req.body || {};
+        if (typeof lrc !== 'string' || lrc.trim() === '') {
+            return res.status(400).json({ success: false, message: '"lrc" is required and must be LRC text.' });
+        }
+        if (lrc.length > MAX_LRC_LENGTH) {
+            return res.status(400).json({ success: false, message: `"lrc" is too long (at most ${MAX_LRC_LENGTH} characters).` });
+        }
+        if (language !== undefined && !isLanguageCode(language)) {
+            return res.status(400).json({ success: false, message: 'Invalid "language". Expected a language code such as "en" or "pt-BR".' });
+        }
+        if (!trackStore || !storage) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        const parsed = parseLrc(lrc);
+        if (!parsed.lines.some(line => line.text)) {
+            return res.status(400).json({ success: false, message: '"lrc" has no lyrics lines.' });
+        }
+        try {
+            if (!(await trackStore.get(hash))) {
+                return res.status(404).json({ success: false, message: 'Track not found. It has not been processed yet.' });
+            }
+            const lyrics = buildLyrics(hash, parsed, { source: 'upload', language: language || null, updatedBy: req.user.uid });
+            await saveLyrics(lyrics);
+            console.log(`User ${req.user.uid} uploaded ${parsed.synced ? 'synced' : 'plain'} lyrics for track ${hash} (${parsed.lines.length} lines).`);
+            res.json({ success: true, lyrics });
+        } catch (error) {
+            console.error(`Failed to save lyrics for track ${hash}: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to save lyrics: ${error.message}` });
+        }
+    });
+
+    /**
+     * /stream/:hash endpoint
+     * Streams a processed track from the storage backend, by the md5 hash of its source URL.
+     * Optional 'format' and 'quality' query parameters pick the variant; without them the
+     * default MP3 is streamed if it was processed, otherwise any processed variant.
+     * With 'normalized=true' the loudness-normalized copy of that variant is streamed instead
+     * (made when it was downloaded with 'normalize: true').
+     * Supports Range requests (206 Partial Content) for seeking and conditional
+     * requests with If-None-Match (304 Not Modified).
+     */
+    app.get('/stream/:hash', async (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        if (!storage) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        const variantRequested = Boolean(req.query.format || req.query.quality);
+        let variant;
+        try {
+            variant = resolveOutputVariant(req.query.format, req.query.quality);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const normalized = req.query.normalized === 'true';
+
+        let storageKey;
+        let fileStat;
+        try {
+            const record = await trackStore.get(hash).catch(() => null);
+            const recorded = recordedVariant(record, variantRequested ? variant.id : null, variant.id);
+            if (normalized) {
+                storageKey = recorded?.normalized?.storageKey;
+                if (!storageKey) {
+                    return res.status(404).json({ success: false, message: 'No normalized copy of this audio. Download it with "normalize": true first.' });
+                }
+            } else {
+                storageKey = recorded?.storageKey || variantStorageKey(hash, variant);
+            }
+            fileStat = await storage.stat(storageKey);
+        } catch (error) {
+            console.error(`Failed to look up stored audio for ${hash}: ${error.message}`);
+            return res.status(500).json({ success: false, message: `Failed to look up audio: ${error.message}` });
+        }
+        if (!fileStat) {
+            return res.status(404).json({ success: false, message: 'Audio not found. It has not been processed yet.' });
+        }
+
+        const { size } = fileStat;
+        const lastModified = new Date(fileStat.lastModified);
+        const etag = fileStat.etag || `"${size.toString(16)}-${lastModified.getTime().toString(16)}"`;
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': contentTypeFor(storageKey),
+            'Cache-Control': 'private, max-age=3600',
+            'ETag': etag,
+            'Last-Modified': lastModified.toUTCString()
+        });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        // A Range is only honoured if If-Range, when sent, still matches the current file
+        const ifRange = req.get('If-Range');
+        const ranges = req.get('Range') && (!ifRange || ifRange === etag) ? req.range(size, { combine: true }) : undefined;
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).type('json').json({ success: false, message: 'Requested range not satisfiable.' });
+        }
+
+        let start = 0;
+        let end = size - 1;
+        if (Array.isArray(ranges) && ranges.type === 'bytes') {
+            // Multipart ranges are not supported; the first range is served
+            ({ start, end } = ranges[0]);
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+        res.set('Content-Length', String(end - start + 1));
+        if (req.method === 'HEAD' || size === 0) {
+            return res.end();
+        }
+
+        try {
+            const stream = await storage.openReadStream(storageKey, { start, end });
+            accessTracker.record(storageGroupOf(storageKey));
+            stream.on('error', streamError => {
+                console.error(`Error streaming ${storageKey}: ${streamError.message}`);
+                res.destroy(streamError);
+            });
+            req.on('close', () => stream.destroy());
+            stream.pipe(res);
+        } catch (error) {
+            console.error(`Failed to open ${storageKey} for streaming: ${error.message}`);
+            res.status(500).type('json').json({ success: false, message: `Failed to stream audio: ${error.message}` });
+        }
+    });
+
+    // Progress streams currently subscribed to a running job
+    let openProgressStreams = 0;
+
+    /**
+     * /progress/:hash endpoint
+     * Streams the progress of the download job for a URL hash (the md5 of the source URL)
+     * as Server-Sent Events. Optional 'format' and 'quality' query parameters pick the job
+     * for that output variant, as they were given to /download-mp3.
+     * Events:
+     *   state    - the job's state changed (sent once on connect, then for converting/uploading)
+     *   progress - download percentage, speed and ETA
+     *   complete - the job is done; carries the audio URL and metadata, ends the stream
+     *   failed   - the job failed; carries the error message, ends the stream
+     */
+    app.get('/progress/:hash', (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        let variant;
+        try {
+            variant = resolveOutputVariant(req.query.format, req.query.quality);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        const jobKey = downloadJobKey(hash, variant);
+        const job = downloadQueue.getJobByKey(jobKey);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'No download job found for this hash.' });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+        });
+        res.flushHeaders();
+
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        // Sends the final event for a finished job; returns false while the job is still running
+        const sendFinalEvent = finishedJob => {
+            if (finishedJob.state === 'done') {
+                sendEvent('complete', toJobResponse(finishedJob));
+            } else if (finishedJob.state === 'failed') {
+                sendEvent('failed', {
+                    id: finishedJob.id,
+                    state: finishedJob.state,
+                    error: finishedJob.error,
+                    errorCode: finishedJob.errorCode || null,
+                    retryable: finishedJob.retryable ?? null
+                });
+            } else {
+                return false;
+            }
+            res.end();
+            return true;
+        };
+
+        sendEvent('state', { id: job.id, state: job.state, progress: job.progress || null });
+        if (sendFinalEvent(job)) {
+            return;
+        }
+
+        // Comment lines keep idle connections from being closed by proxies
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        openProgressStreams++;
+        const unsubscribe = downloadQueue.subscribe(jobKey, (updatedJob, changes) => {
+            if (sendFinalEvent(updatedJob)) {
+                return cleanup();
+            }
+            if (changes.state) {
+                sendEvent('state', { id: updatedJob.id, state: changes.state });
+            }
+            if (changes.progress) {
+                sendEvent('progress', { id: updatedJob.id, ...changes.progress });
+            }
+        });
+        let closed = false;
+        function cleanup() {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            openProgressStreams--;
+        }
+        req.on('close', cleanup);
+    });
+
+    /**
+     * Lists the entries of an album/playlist with yt-dlp (--flat-playlist), in album order.
+     * Resolves with the parsed yt-dlp JSON of each entry; rejects if yt-dlp fails.
+     */
+    async function fetchAlbumEntries(url) {
+        const { stdout } = await runYtDlp(['--dump-json', '--flat-playlist', ...COMMON_ARGS, '--', url], config.ytdlp.playlist);
+        const lines = stdout.split('\n').filter(line => line.trim() !== '');
+        return lines.map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    // Albums and playlists of every provider (SoundCloud sets, YouTube playlists, Bandcamp albums)
+    function isAlbumUrl(url) {
+        return isSupportedSourceUrl(url) && isCollectionUrl(url);
+    }
+
+    /**
+     * /album-tracks endpoint
+     * Expects a JSON body with { url } (the album/playlist URL)
+     * Uses yt-dlp to fetch all tracks in the album/playlist and returns them as an array
+     * Rate limited per user or IP (RATE_LIMIT_ALBUM_TRACKS).
+     */
+    app.post('/album-tracks', optionalAuth, rateLimit.albumTracks, async (req, res) => {
+        const { url } = req.body;
+        if (!isAlbumUrl(url)) {
+            return res.status(400).json({ success: false, message: 'A valid SoundCloud, YouTube or Bandcamp album/playlist URL is required.' });
+        }
+        let entries;
+        try {
+            entries = await fetchAlbumEntries(url);
+        } catch (error) {
+            return sendYtDlpError(res, ytdlpFailure(error, '/album-tracks'));
+        }
+        const tracks = entries.map(data => ({
+            id: data.id,
+            title: data.title,
+            url: data.url || data.webpage_url,
+            artist: data.artist || data.uploader || data.channel || 'Unknown',
+            album: data.album || '',
+            thumbnail: (data.thumbnail && data.thumbnail.trim()) ? data.thumbnail : (data.thumbnails && data.thumbnails.length > 0 ? data.thumbnails[data.thumbnails.length - 1].url : 'https://placehold.co/60x60/333/FFF?text=🎧')
+        }));
+        res.json({ success: true, tracks });
+    });
+
+    /**
+     * Builds the ZIP of an album job's processed tracks, with an M3U playlist in album order,
+     * uploads it to storage and resolves with its storage key.
+     */
+    async function buildAlbumZip(job, tracks) {
+        const { variant } = job;
+        const files = tracks.map(track => ({
+            fileName: albumEntryName({ trackNumber: track.trackNumber, artist: track.artist, title: track.title }, variant.extension),
+            artist: track.artist,
+            title: track.title,
+            duration: track.duration,
+            openStream: () => storage.openReadStream(track.storageKey)
+        }));
+        const playlist = { fileName: `${safeFileName(job.album || 'album', 100)}.m3u`, contents: buildM3uPlaylist(files) };
+
+        const zipKey = `albums/${job.hash}.${variant.id}.zip`;
+        const localZipPath = path.join(audioDir, `album-${job.hash}-${variant.id}.zip`);
+        try {
+            await writeAlbumZip(localZipPath, files, playlist);
+            await storage.upload(localZipPath, zipKey, { contentType: 'application/zip' });
+        } finally {
+            await fs.promises.rm(localZipPath, { force: true });
+        }
+        return zipKey;
+    }
+
+    /**
+     * Processes one album job: lists the album's tracks, runs each through the download queue
+     * (tracks that are already stored are skipped) and, if asked for, bundles them into a ZIP.
+     * Per-track results are kept on the job as they come in.
+     */
+    async function processAlbumJob(job, update) {
+        const { url, variant } = job;
+        let entries;
+        try {
+            entries = await fetchAlbumEntries(url);
+        } catch (error) {
+            throw ytdlpFailure(error, `album listing of ${url}`);
+        }
+        if (entries.length === 0) {
+            throw new Error('The album has no tracks.');
+        }
+
+        // Flat-playlist entries carry the title of the set they belong to
+        const album = entries[0].playlist_title || entries[0].playlist || null;
+        const tracks = entries.map((entry, index) => ({
+            trackNumber: index + 1,
+            title: entry.title || null,
+            artist: entry.artist || entry.uploader || null,
+            url: entry.url || entry.webpage_url,
+            hash: null,
+            jobId: null,
+            status: 'pending',
+            audioUrl: null,
+            error: null
+        }));
+        update({ state: 'downloading', album, tracks });
+
+        await mapWithConcurrency(tracks, config.downloads.concurrency, async track => {
+            if (!isSupportedSourceUrl(track.url)) {
+                const unsupported = new YtDlpError('UNSUPPORTED_URL');
+                Object.assign(track, { status: 'failed', error: unsupported.message, errorCode: unsupported.code });
+                return update({ tracks });
+            }
+            track.hash = crypto.createHash('md5').update(track.url).digest('hex');
+            const { job: trackJob } = downloadQueue.enqueue(downloadJobKey(track.hash, variant), {
+                url: track.url,
+                hash: track.hash,
+                variant,
+                albumItem: { album, trackNumber: track.trackNumber, trackCount: tracks.length }
+            });
+            Object.assign(track, { jobId: trackJob.id, status: 'processing' });
+            update({ tracks });
+
+            await downloadQueue.waitForJob(trackJob);
+            if (trackJob.state === 'failed') {
+                Object.assign(track, { status: 'failed', error: trackJob.error, errorCode: trackJob.errorCode });
+            } else {
+                Object.assign(track, {
+                    status: trackJob.alreadyStored ? 'skipped' : 'done',
+                    audioUrl: trackJob.audioUrl,
+                    title: trackJob.title || track.title,
+                    artist: trackJob.artist || track.artist,
+                    duration: trackJob.track?.duration ?? null,
+                    storageKey: trackJob.track?.variants?.[variant.id]?.storageKey || variantStorageKey(track.hash, variant)
+                });
+            }
+            update({ tracks });
+        });
+
+        const stored = tracks.filter(track => track.status === 'done' || track.status === 'skipped');
+        if (stored.length === 0) {
+            throw new Error('None of the album tracks could be downloaded.');
+        }
+
+        let zipKey = null;
+        let zipError = null;
+        if (job.zip) {
+            update({ state: 'zipping' });
+            try {
+                zipKey = await buildAlbumZip({ ...job, album }, stored);
+                console.log(`Built album ZIP ${zipKey} with ${stored.length} tracks.`);
+            } catch (error) {
+                // The tracks themselves are stored, so only the bundle is reported as failed
+                console.error(`Failed to build album ZIP for ${url}: ${error.message}`);
+                zipError = `Failed to build ZIP: ${error.message}`;
+            }
+        }
+
+        const failedCount = tracks.length - stored.length;
+        return {
+            message: failedCount === 0 ? 'All album tracks processed.' : `${failedCount} of ${tracks.length} album tracks failed.`,
+            zipKey,
+            zipError
+        };
+    }
+
+    // Albums are processed one at a time; each one already keeps the download queue busy
+    const albumQueue = createDownloadQueue({
+        concurrency: 1,
+        processJob: processAlbumJob,
+        retentionMs: config.downloads.retentionMs
+    });
+
+    // Shape of an album job in API responses
+    function toAlbumJobResponse(job) {
+        const tracks = job.tracks || [];
+        return {
+            id: job.id,
+            url: job.url,
+            album: job.album || null,
+            format: job.variant.format,
+            quality: job.variant.quality,
+            state: job.state,
+            message: job.message || null,
+            counts: {
+                total: tracks.length,
+                done: tracks.filter(track => track.status === 'done').length,
+                skipped: tracks.filter(track => track.status === 'skipped').length,
+                failed: tracks.filter(track => track.status === 'failed').length
+            },
+            tracks: tracks.map(({ trackNumber, title, artist, url, hash, jobId, status, audioUrl, error, errorCode }) => ({
+                trackNumber, title, artist, url, hash, jobId, status,
+                streamUrl: status === 'done' || status === 'skipped'
+                    ? `/stream/${hash}?format=${job.variant.format}&quality=${job.variant.quality}`
+                    : null,
+                audioUrl, error, errorCode: errorCode || null
+            })),
+            zipUrl: job.zipKey ? `/album-download/${job.id}/zip` : null,
+            zipError: job.zipError || null,
+            error: job.error || null,
+            errorCode: job.errorCode || null,
+            retryable: job.retryable ?? null,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+    }
+
+    /**
+     * /album-download endpoint
+     * Downloads every track of an album/playlist through the download pipeline.
+     * Expects a JSON body with { url } (the album/playlist URL), and optionally 'format' and
+     * 'quality' (as for /download-mp3) and 'zip' (true to bundle the tagged files with an
+     * M3U playlist into a ZIP).
+     * Requires a signed-in user; rate limited per user (RATE_LIMIT_ALBUM_DOWNLOAD).
+     * Responds right away with 202 and an album job id; poll GET /album-download/:id for
+     * per-track results.
+     */
+    app.post('/album-download', requireAuth, rateLimit.albumDownload, async (req, res) => {
+        const { url, format, quality, zip } = req.body;
+        if (!storage) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available. Cannot process download and upload to storage.` });
+        }
+        if (!isAlbumUrl(url)) {
+            return res.status(400).json({ success: false, message: 'A valid SoundCloud, YouTube or Bandcamp album/playlist URL is required.' });
+        }
+        let variant;
+        try {
+            variant = resolveOutputVariant(format, quality);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const albumHash = crypto.createHash('md5').update(url).digest('hex');
+        const { job, merged } = albumQueue.enqueue(`${albumHash}:${variant.id}:${zip ? 'zip' : 'files'}`, {
+            url,
+            hash: albumHash,
+            variant,
+            zip: Boolean(zip)
+        });
+        console.log(`${merged ? 'Merged into existing' : 'Queued new'} album job ${job.id} for ${url}`);
+
+        res.status(202).json({
+            success: true,
+            message: merged ? 'This album is already being processed.' : 'Album download queued.',
+            albumJobId: job.id,
+            merged,
+            job: toAlbumJobResponse(job)
+        });
+    });
+
+    /**
+     * /album-download/:id endpoint
+     * Reports the state of an album job (queued, downloading, zipping, done, failed)
+     * with the result of every track. Stored tracks are played from their 'streamUrl';
+     * 'audioUrl' is a short-lived direct storage URL, as for download jobs.
+     */
+    app.get('/album-download/:id', (req, res) => {
+        const job = albumQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Album job not found. It may have expired.' });
+        }
+        res.json({ success: true, job: toAlbumJobResponse(job) });
+    });
+
+    /**
+     * /album-download/:id/zip endpoint
+     * Downloads the ZIP bundle of a finished album job.
+     */
+    app.get('/album-download/:id/zip', async (req, res) => {
+        const job = albumQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Album job not found. It may have expired.' });
+        }
+        if (!job.zipKey) {
+            const message = job.state === 'done' || job.state === 'failed'
+                ? 'No ZIP was built for this album job.'
+                : 'The ZIP is not ready yet.';
+            return res.status(409).json({ success: false, message });
+        }
+        try {
+            const fileStat = await storage.stat(job.zipKey);
+            if (!fileStat) {
+                return res.status(404).json({ success: false, message: 'The ZIP is no longer stored.' });
+            }
+            const stream = await storage.openReadStream(job.zipKey);
+            accessTracker.record(storageGroupOf(job.zipKey));
+            res.attachment(`${safeFileName(job.album || 'album', 100)}.zip`);
+            res.set('Content-Length', String(fileStat.size));
+            stream.on('error', streamError => {
+                console.error(`Error streaming ${job.zipKey}: ${streamError.message}`);
+                res.destroy(streamError);
+            });
+            stream.pipe(res);
+        } catch (error) {
+            console.error(`Failed to send album ZIP ${job.zipKey}: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to send ZIP: ${error.message}` });
+        }
+    });
+
+    // Libraries of saved tracks, per user: in Redis unless LIBRARY_STORE=memory (tests, local runs)
+    const libraryStore = config.stores.library === 'memory'
+        ? createMemoryLibraryStore()
+        : createRedisLibraryStore(client);
+
+    /**
+     * GET /library endpoint
+     * Lists the signed-in user's saved tracks, most recently added first,
+     * with the stored metadata of each track.
+     */
+    app.get('/library', requireAuth, async (req, res) => {
+        try {
+            const entries = await libraryStore.list(req.user.uid);
+            const tracks = await Promise.all(entries.map(async entry => ({
+                ...entry,
+                track: trackStore ? await trackStore.get(entry.hash).catch(() => null) : null,
+                streamUrl: `/stream/${entry.hash}`
+            })));
+            res.json({ success: true, tracks });
+        } catch (error) {
+            console.error(`Failed to list library of ${req.user.uid}: ${error.message}`);
+            res.status(503).json({ success: false, message: `Library is not available: ${error.message}` });
+        }
+    });
+
+    /**
+     * POST /library endpoint
+     * Saves a processed track to the signed-in user's library.
+     * Expects a JSON body with the track's 'hash', or the source 'url' it was processed from.
+     */
+    app.post('/library', requireAuth, async (req, res) => {
+        const { url } = req.body;
+        const hash = req.body.hash || (typeof url === 'string' && url ? crypto.createHash('md5').update(url).digest('hex') : null);
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'A track hash or source URL is required.' });
+        }
+        if (!trackStore) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        try {
+            const track = await trackStore.get(hash);
+            if (!track) {
+                return res.status(404).json({ success: false, message: 'Track not found. Process it with /download-mp3 first.' });
+            }
+            const entry = await libraryStore.add(req.user.uid, hash);
+            res.status(201).json({ success: true, entry: { ...entry, track, streamUrl: `/stream/${hash}` } });
+        } catch (error) {
+            console.error(`Failed to add ${hash} to library of ${req.user.uid}: ${error.message}`);
+            res.status(503).json({ success: false, message: `Library is not available: ${error.message}` });
+        }
+    });
+
+    /**
+     * DELETE /library/:hash endpoint
+     * Removes a track from the signed-in user's library. The shared audio stays stored.
+     */
+    app.delete('/library/:hash', requireAuth, async (req, res) => {
+        const { hash } = req.params;
+        if (!isTrackHash(hash)) {
+            return res.status(400).json({ success: false, message: 'Invalid track hash.' });
+        }
+        try {
+            const removed = await libraryStore.remove(req.user.uid, hash);
+            if (!removed) {
+                return res.status(404).json({ success: false, message: 'Track is not in your library.' });
+            }
+            res.json({ success: true, removed: hash });
+        } catch (error) {
+            console.error(`Failed to remove ${hash} from library of ${req.user.uid}: ${error.message}`);
+            res.status(503).json({ success: false, message: `Library is not available: ${error.message}` });
+        }
+    });
+
+    // Playlists: in Redis unless PLAYLIST_STORE=memory (tests, local runs)
+    const playlistStore = config.stores.playlist === 'memory'
+        ? createMemoryPlaylistStore()
+        : createRedisPlaylistStore(client);
+
+    /**
+     * Loads a playlist for the signed-in user to change.
+     * Responds with 404 (or 403 if the user can see but not change it) and resolves with null
+     * if that is not possible.
+     */
+    async function findOwnPlaylist(req, res) {
+        const playlist = await playlistStore.get(req.params.id);
+        if (!playlist || !canViewPlaylist(playlist, req.user.uid)) {
+            res.status(404).json({ success: false, message: 'Playlist not found.' });
+            return null;
+        }
+        if (playlist.ownerUid !== req.user.uid) {
+            res.status(403).json({ success: false, message: 'Only the owner can change this playlist.' });
+            return null;
+        }
+        return playlist;
+    }
+
+    // Attempts at changing a playlist before concurrent changes are answered with 409
+    const PLAYLIST_SAVE_ATTEMPTS = 3;
+    // Changes in progress by playlist id; changes of the same playlist run one after another
+    const playlistChanges = new Map();
+
+    /**
+     * Applies a change to one of the signed-in user's playlists and saves it.
+     * change(playlist) edits the playlist in place, or returns { status, message } to refuse.
+     * Changes of the same playlist run one after another within this process. If another
+     * instance saved the playlist in the meantime, it is read again and the change applied anew;
+     * after PLAYLIST_SAVE_ATTEMPTS such conflicts the answer is 409.
+     * Resolves with the saved playlist, or with null once a response was sent.
+     */
+    function changeOwnPlaylist(req, res, change) {
+        const { id } = req.params;
+        const previous = playlistChanges.get(id) || Promise.resolve();
+        const result = previous
+            .catch(() => {})
+            .then(() => applyPlaylistChange(req, res, change));
+        playlistChanges.set(id, result);
+        result.catch(() => {}).finally(() => {
+            if (playlistChanges.get(id) === result) {
+                playlistChanges.delete(id);
+            }
+        });
+        return result;
+    }
+
+    // Reads, changes and saves the playlist for changeOwnPlaylist, again on version conflicts
+    async function applyPlaylistChange(req, res, change) {
+        for (let attempt = 1; attempt <= PLAYLIST_SAVE_ATTEMPTS; attempt++) {
+            const playlist = await findOwnPlaylist(req, res);
+            if (!playlist) {
+                return null;
+            }
+            const refusal = change(playlist);
+            if (refusal) {
+                res.status(refusal.status).json({ success: false, message: refusal.message });
+                return null;
+            }
+            playlist.updatedAt = new Date().toISOString();
+            try {
+                return await playlistStore.save(playlist);
+            } catch (error) {
+                if (!(error instanceof PlaylistConflictError)) {
+                    throw error;
+                }
+                console.warn(`${error.message} (attempt ${attempt} of ${PLAYLIST_SAVE_ATTEMPTS})`);
+            }
+        }
+        res.status(409).json({ success: false, message: 'The playlist is being changed by another request. Please try again.' });
+        return null;
+    }
+
+    /**
+     * Validates a playlist name; returns the trimmed name or null.
+     */
+    function validPlaylistName(name) {
+        if (typeof name !== 'string') {
+            return null;
+        }
+        const trimmed = name.trim();
+        return trimmed && trimmed.length <= MAX_PLAYLIST_NAME_LENGTH ? trimmed : null;
+    }
+
+    // Shape of a playlist in API responses; tracks carry their stored metadata when they were processed
+    async function toPlaylistResponse(playlist, uid) {
+        const isOwner = playlist.ownerUid === uid;
+        const tracks = await Promise.all(playlist.tracks.map(async entry => ({
+            ...entry,
+            track: trackStore ? await trackStore.get(entry.hash).catch(() => null) : null,
+            streamUrl: `/stream/${entry.hash}`
+        })));
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            visibility: playlist.visibility,
+            isOwner,
+            // Only the owner gets the token needed to share an unlisted playlist
+            shareToken: isOwner ? playlist.shareToken : null,
+            tracks,
+            version: playlist.version || 0,
+            createdAt: playlist.createdAt,
+            updatedAt: playlist.updatedAt
+        };
+    }
+
+    // Responds to a playlist store failure (usually Redis being unreachable)
+    function playlistStoreError(res, action, error) {
+        console.error(`Failed to ${action}: ${error.message}`);
+        res.status(503).json({ success: false, message: `Playlists are not available: ${error.message}` });
+    }
+
+    /**
+     * POST /playlists endpoint
+     * Creates a playlist for the signed-in user.
+     * Expects a JSON body with a 'name' and optionally a 'visibility' (private, unlisted or public; default private).
+     */
+    app.post('/playlists', requireAuth, async (req, res) => {
+        const name = validPlaylistName(req.body.name);
+        const visibility = req.body.visibility || 'private';
+        if (!name) {
+            return res.status(400).json({ success: false, message: `A playlist name of at most ${MAX_PLAYLIST_NAME_LENGTH} characters is required.` });
+        }
+        if (!VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ success: false, message: `Visibility must be one of: ${VISIBILITIES.join(', ')}.` });
+        }
+        const now = new Date().toISOString();
+        const playlist = {
+            id: newPlaylistId(),
+            ownerUid: req.user.uid,
+            name,
+            visibility,
+            shareToken: visibility === 'unlisted' ? newShareToken() : null,
+            tracks: [],
+            version: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        try {
+            const saved = await playlistStore.save(playlist);
+            res.status(201).json({ success: true, playlist: await toPlaylistResponse(saved, req.user.uid) });
+        } catch (error) {
+            playlistStoreError(res, `create playlist for ${req.user.uid}`, error);
+        }
+    });
+
+    /**
+     * GET /playlists endpoint
+     * Lists the signed-in user's playlists (without their tracks).
+     */
+    app.get('/playlists', requireAuth, async (req, res) => {
+        try {
+            const playlists = await playlistStore.listByOwner(req.user.uid);
+            res.json({
+                success: true,
+                playlists: playlists.map(({ id, name, visibility, shareToken, tracks, createdAt, updatedAt }) => (
+                    { id, name, visibility, shareToken, trackCount: tracks.length, createdAt, updatedAt }
+                ))
+            });
+        } catch (error) {
+            playlistStoreError(res, `list playlists of ${req.user.uid}`, error);
+        }
+    });
+
+    /**
+     * GET /playlists/:id endpoint
+     * Returns a playlist with its tracks. Public playlists are readable by anyone, unlisted ones
+     * with their share token as the 'share' query parameter, private ones only by their owner.
+     */
+    app.get('/playlists/:id', optionalAuth, async (req, res) => {
+        try {
+            const playlist = await playlistStore.get(req.params.id);
+            if (!playlist || !canViewPlaylist(playlist, req.user?.uid, req.query.share)) {
+                return res.status(404).json({ success: false, message: 'Playlist not found.' });
+            }
+            res.json({ success: true, playlist: await toPlaylistResponse(playlist, req.user?.uid) });
+        } catch (error) {
+            playlistStoreError(res, `read playlist ${req.params.id}`, error);
+        }
+    });
+
+    /**
+     * PATCH /playlists/:id endpoint
+     * Renames a playlist and/or changes its visibility.
+     * Expects a JSON body with 'name' and/or 'visibility'. Making a playlist unlisted gives it a
+     * new share token; making it private or public drops the token.
+     */
+    app.patch('/playlists/:id', requireAuth, async (req, res) => {
+        const { name, visibility } = req.body;
+        if (name === undefined && visibility === undefined) {
+            return res.status(400).json({ success: false, message: 'Nothing to change: send a name and/or a visibility.' });
+        }
+        if (name !== undefined && !validPlaylistName(name)) {
+            return res.status(400).json({ success: false, message: `A playlist name of at most ${MAX_PLAYLIST_NAME_LENGTH} characters is required.` });
+        }
+        if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ success: false, message: `Visibility must be one of: ${VISIBILITIES.join(', ')}.` });
+        }
+        try {
+            const playlist = await changeOwnPlaylist(req, res, current => {
+                if (name !== undefined) {
+                    current.name = validPlaylistName(name);
+                }
+                if (visibility !== undefined && visibility !== current.visibility) {
+                    current.visibility = visibility;
+                    current.shareToken = visibility === 'unlisted' ? newShareToken() : null;
+                }
+            });
+            if (!playlist) {
+                return;
+            }
+            res.json({ success: true, playlist: await toPlaylistResponse(playlist, req.user.uid) });
+        } catch (error) {
+            playlistStoreError(res, `update playlist ${req.params.id}`, error);
+        }
+    });
+
+    /**
+     * DELETE /playlists/:id endpoint
+     * Deletes a playlist. The audio of its tracks stays stored.
+     */
+    app.delete('/playlists/:id', requireAuth, async (req, res) => {
+        try {
+            const playlist = await findOwnPlaylist(req, res);
+            if (!playlist) {
+                return;
+            }
+            await playlistStore.delete(playlist);
+            res.json({ success: true, removed: playlist.id });
+        } catch (error) {
+            playlistStoreError(res, `delete playlist ${req.params.id}`, error);
+        }
+    });
+
+    /**
+     * POST /playlists/:id/tracks endpoint
+     * Adds a track to a playlist.
+     * Expects a JSON body with the track's processed 'hash' or its source 'url', and optionally a
+     * 'position' (0-based; default: the end). A track added by URL does not have to be processed yet.
+     */
+    app.post('/playlists/:id/tracks', requireAuth, async (req, res) => {
+        const { hash, url, position } = req.body;
+        let entryHash = hash;
+        let sourceUrl = null;
+        if (url !== undefined) {
+            if (!isSupportedSourceUrl(url)) {
+                return res.status(400).json({ success: false, message: 'Unsupported source URL. Only SoundCloud, YouTube and Bandcamp links are accepted.' });
+            }
+            sourceUrl = url;
+            entryHash = crypto.createHash('md5').update(url).digest('hex');
+        }
+        if (!isTrackHash(entryHash)) {
+            return res.status(400).json({ success: false, message: 'A track hash or source URL is required.' });
+        }
+        const entry = { id: newPlaylistId(), hash: entryHash, sourceUrl, addedAt: new Date().toISOString() };
+        try {
+            const playlist = await changeOwnPlaylist(req, res, current => {
+                if (current.tracks.length >= MAX_PLAYLIST_TRACKS) {
+                    return { status: 409, message: `A playlist can hold at most ${MAX_PLAYLIST_TRACKS} tracks.` };
+                }
+                const index = Number.isInteger(position) ? Math.max(0, Math.min(position, current.tracks.length)) : current.tracks.length;
+                current.tracks.splice(index, 0, entry);
+            });
+            if (!playlist) {
+                return;
+            }
+            res.status(201).json({ success: true, entry, playlist: await toPlaylistResponse(playlist, req.user.uid) });
+        } catch (error) {
+            playlistStoreError(res, `add a track to playlist ${req.params.id}`, error);
+        }
+    });
+
+    /**
+     * DELETE /playlists/:id/tracks/:entryId endpoint
+     * Removes one entry (as returned when it was added) from a playlist.
+     */
+    app.delete('/playlists/:id/tracks/:entryId', requireAuth, async (req, res) => {
+        try {
+            const playlist = await changeOwnPlaylist(req, res, current => {
+                const index = current.tracks.findIndex(entry => entry.id === req.params.entryId);
+                if (index === -1) {
+                    return { status: 404, message: 'Track is not in this playlist.' };
+                }
+                current.tracks.splice(index, 1);
+            });
+            if (!playlist) {
+                return;
+            }
+            res.json({ success: true, playlist: await toPlaylistResponse(playlist, req.user.uid) });
+        } catch (error) {
+            playlistStoreError(res, `remove a track from playlist ${req.params.id}`, error);
+        }
+    });
+
+    /**
+     * PUT /playlists/:id/order endpoint
+     * Reorders a playlist.
+     * Expects a JSON body with 'entryIds': every entry id of the playlist, in the new order.
+     */
+    app.put('/playlists/:id/order', requireAuth, async (req, res) => {
+        const { entryIds } = req.body;
+        if (!Array.isArray(entryIds)) {
+            return res.status(400).json({ success: false, message: 'entryIds must be an array of the playlist\'s entry ids.' });
+        }
+        try {
+            const playlist = await changeOwnPlaylist(req, res, current => {
+                const entriesById = new Map(current.tracks.map(entry => [entry.id, entry]));
+                const isPermutation = entryIds.length === current.tracks.length
+                    && new Set(entryIds).size === entryIds.length
+                    && entryIds.every(id => entriesById.has(id));
+                if (!isPermutation) {
+                    return { status: 400, message: 'entryIds must list every entry of the playlist exactly once.' };
+                }
+                current.tracks = entryIds.map(id => entriesById.get(id));
+            });
+            if (!playlist) {
+                return;
+            }
+            res.json({ success: true, playlist: await toPlaylistResponse(playlist, req.user.uid) });
+        } catch (error) {
+            playlistStoreError(res, `reorder playlist ${req.params.id}`, error);
+        }
+    });
+
+    /**
+     * GET /playlists/:id/export endpoint
+     * Exports a playlist as an M3U file ('format=m3u', the default) or as JSON ('format=json').
+     * Readable by the same callers as GET /playlists/:id. M3U entries point at /stream for
+     * processed tracks and at the source URL for tracks that are not processed yet.
+     */
+    app.get('/playlists/:id/export', optionalAuth, async (req, res) => {
+        const format = req.query.format || 'm3u';
+        if (format !== 'm3u' && format !== 'json') {
+            return res.status(400).json({ success: false, message: 'Export format must be m3u or json.' });
+        }
+        try {
+            const playlist = await playlistStore.get(req.params.id);
+            if (!playlist || !canViewPlaylist(playlist, req.user?.uid, req.query.share)) {
+                return res.status(404).json({ success: false, message: 'Playlist not found.' });
+            }
+            const response = await toPlaylistResponse(playlist, req.user?.uid);
+            const fileName = safeFileName(playlist.name, 100) || 'playlist';
+            if (format === 'json') {
+                res.attachment(`${fileName}.json`);
+                return res.json({ name: response.name, exportedAt: new Date().toISOString(), tracks: response.tracks });
+            }
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const m3u = buildM3uPlaylist(response.tracks.map(entry => ({
+                fileName: entry.track ? `${baseUrl}${entry.streamUrl}` : entry.sourceUrl || `${baseUrl}${entry.streamUrl}`,
+                artist: entry.track?.artist,
+                title: entry.track?.title,
+                duration: entry.track?.duration
+            })));
+            res.attachment(`${fileName}.m3u`);
+            res.type('audio/x-mpegurl').send(m3u);
+        } catch (error) {
+            playlistStoreError(res, `export playlist ${req.params.id}`, error);
+        }
+    });
+
+    registerGauge('ytdlp_processes_running', 'yt-dlp processes currently running', runningYtDlpProcesses);
+    registerGauge('download_queue_pending', 'Download jobs waiting for a free slot', () => downloadQueue.stats().queued);
+    registerGauge('progress_streams_open', 'Progress streams (/progress) waiting for a running job', () => openProgressStreams);
+
+    const healthChecks = createHealthChecks({
+        redisClient: client,
+        storage,
+        storageBackend,
+        tempDir: audioDir,
+        minFreeBytes: config.health.minFreeBytes,
+        toolCacheMs: config.health.toolCacheMs
+    });
+
+    /**
+     * Logs the details of failed checks and returns the checks to answer with: every detail
+     * for requests with the METRICS_TOKEN, only the status of each check for anyone else.
+     */
+    function reportedChecks(req, checks) {
+        for (const [name, check] of Object.entries(checks)) {
+            if (check.status === 'fail') {
+                console.warn(`Health check ${name} failed: ${check.error || JSON.stringify(check)}`);
+            }
+        }
+        return hasMetricsToken(req, config.metricsToken) ? checks : publicChecks(checks);
+    }
+
+    /**
+     * GET /healthz endpoint
+     * Liveness: answers 200 while the process is up, with the status of every dependency
+     * (Redis, storage, yt-dlp, ffmpeg, free space in audio_temp). 'status' is 'degraded'
+     * if any of them fails. Errors, versions and paths are only included for
+     * "Authorization: Bearer <METRICS_TOKEN>"; failures are logged either way.
+     */
+    app.get('/healthz', async (req, res) => {
+        const { checks } = await healthChecks.run();
+        const degraded = Object.values(checks).some(check => check.status === 'fail');
+        res.json({ status: degraded ? 'degraded' : 'ok', uptimeSeconds: Math.round(process.uptime()), checks: reportedChecks(req, checks) });
+    });
+
+    /**
+     * GET /readyz endpoint
+     * Readiness: 200 if the server can process downloads, 503 if a critical dependency
+     * (storage, yt-dlp, ffmpeg or free space) fails. Redis is reported but not required.
+     * Details as for /healthz.
+     */
+    app.get('/readyz', async (req, res) => {
+        const { ready, checks } = await healthChecks.run();
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks: reportedChecks(req, checks) });
+    });
+
+    /**
+     * GET /metrics endpoint
+     * Metrics in the Prometheus text format, for "Authorization: Bearer <METRICS_TOKEN>" only
+     * (configure it as the scrape job's bearer token). Not available while METRICS_TOKEN is unset.
+     */
+    app.get('/metrics', async (req, res) => {
+        if (!config.metricsToken) {
+            return res.status(404).json({ success: false, message: 'Metrics are disabled. Set METRICS_TOKEN to enable them.' });
+        }
+        if (!hasMetricsToken(req, config.metricsToken)) {
+            console.warn(`Refused /metrics to ${req.ip}: missing or wrong token`);
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ success: false, message: 'Send the metrics token as "Authorization: Bearer <token>".' });
+        }
+        try {
+            res.type(registry.contentType).send(await registry.metrics());
+        } catch (error) {
+            console.error(`Failed to collect metrics: ${error.message}`);
+            res.status(500).send(`# Failed to collect metrics: ${error.message}\n`);
+        }
+    });
+
+    /**
+     * GET /admin/storage endpoint
+     * Reports storage usage: total size, file and track counts, the quota and the least recently
+     * used tracks (the first to be evicted). Administrators only (ADMIN_UIDS).
+     */
+    app.get('/admin/storage', requireAuth, requireAdmin, async (req, res) => {
+        if (!maintenance) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        try {
+            const { totalBytes, fileCount, groups } = await maintenance.usage();
+            res.json({
+                success: true,
+                backend: storage.name,
+                totalBytes,
+                fileCount,
+                groupCount: groups.length,
+                quotaBytes: config.storage.quotaBytes,
+                leastRecentlyUsed: groups.slice(0, 20).map(({ id, bytes, lastUsed, keys }) => (
+                    { id, bytes, lastUsed: new Date(lastUsed).toISOString(), files: keys.length }
+                ))
+            });
+        } catch (error) {
+            console.error(`Failed to compute storage usage: ${error.message}`);
+            res.status(500).json({ success: false, message: `Failed to compute storage usage: ${error.message}` });
+        }
+    });
+
+    /**
+     * POST /admin/storage/cleanup endpoint
+     * Sweeps stale temp files and evicts least recently used tracks until storage fits the quota.
+     * With { "dryRun": true } in the body (or ?dryRun=true) nothing is removed; the response
+     * lists what would be. Administrators only (ADMIN_UIDS).
+     */
+    app.post('/admin/storage/cleanup', requireAuth, requireAdmin, async (req, res) => {
+        if (!maintenance) {
+            return res.status(500).json({ success: false, message: `Storage backend "${storageBackend}" is not available.` });
+        }
+        const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+        try {
+            console.log(`Storage cleanup requested by ${req.user.uid}${dryRun ? ' (dry run)' : ''}`);
+            res.json({ success: true, ...await maintenance.run({ dryRun }) });
+        } catch (error) {
+            console.error(`Storage cleanup failed: ${error.message}`);
+            res.status(500).json({ success: false, message: `Storage cleanup failed: ${error.message}` });
+        }
+    });
+
+    return { app, maintenance };
+}
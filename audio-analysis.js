@@ -0,0 +1,220 @@
+// audio-analysis.js - Loudness measurement, normalized copies and waveform peaks of processed audio
+// Like yt-dlp, ffmpeg and ffprobe are always spawned with an argument array, never through a shell.
+import { runProcess } from './process-runner.js';
+import { ffmpegEncoderArgs } from './audio-formats.js';
+
+// ReplayGain 2.0 reference level: a track's gain is what brings it to this loudness
+export const REPLAYGAIN_REFERENCE_LUFS = -18;
+// True peak ceiling (dBTP) and loudness range (LU) targets of normalized copies
+const NORMALIZE_TRUE_PEAK = -1.5;
+const NORMALIZE_LOUDNESS_RANGE = 11;
+// Waveforms are computed from mono audio at this sample rate; plenty for a scrubber
+const WAVEFORM_SAMPLE_RATE = 8000;
+// Waveform peaks are whole numbers from 0 (silence) to this (full scale)
+export const WAVEFORM_MAX_PEAK = 255;
+// Formats whose files can carry the cover art as an attached picture stream
+const COVER_STREAM_FORMATS = ['mp3', 'm4a', 'flac'];
+const MAX_STDERR_BYTES = 1024 * 1024;
+
+/**
+ * Key of the waveform of a track, next to its audio: 'audio/<hash>.waveform.json'.
+ */
+export function waveformKey(hash) {
+    return `audio/${hash}.waveform.json`;
+}
+
+/**
+ * Runs ffmpeg or ffprobe. Resolves with { stdout, stderr } when it exits with code 0.
+ * With onStdout, stdout is handed over chunk by chunk instead of being collected.
+ */
+function runTool(command, args, { timeoutMs, onStdout }) {
+    // ffmpeg prints its reports at the end, so keep the tail if it talks a lot
+    return runProcess(command, args, { timeoutMs, onStdout, stderrTailBytes: MAX_STDERR_BYTES });
+}
+
+// loudnorm prints -inf for silence
+function loudnormNumber(value) {
+    return value === '-inf' ? -Infinity : Number(value);
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Reads the exact duration of an audio file in seconds.
+ */
+export async function probeDuration(filePath, { timeoutMs }) {
+    const { stdout } = await runTool('ffprobe', [
+        '-v', 'error',
+        '-show_entries', 'format=duration',
+        '-of', 'default=noprint_wrappers=1:nokey=1',
+        filePath
+    ], { timeoutMs });
+    const duration = Number(stdout.trim());
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error(`ffprobe reported no duration for ${filePath}`);
+    }
+    return duration;
+}
+
+/**
+ * Measures the loudness of an audio file (EBU R128) with ffmpeg's loudnorm filter.
+ * Resolves with the measurement as loudnorm reports it: { integratedLufs, truePeakDbtp,
+ * loudnessRange, thresholdLufs, targetOffset }. targetOffset only fits normalizing to targetLufs.
+ */
+export async function measureLoudness(filePath, { targetLufs, timeoutMs }) {
+    const { stderr } = await runTool('ffmpeg', [
+        '-hide_banner', '-nostats',
+        '-i', filePath,
+        '-map', '0:a:0',
+        '-af', `loudnorm=I=${targetLufs}:TP=${NORMALIZE_TRUE_PEAK}:LRA=${NORMALIZE_LOUDNESS_RANGE}:print_format=json`,
+        '-f', 'null', '-'
+    ], { timeoutMs });
+    // The report is the last JSON object ffmpeg prints
+    let report;
+    try {
+        report = JSON.parse(stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1));
+    } catch {
+        throw new Error(`ffmpeg printed no loudness report for ${filePath}`);
+    }
+    return {
+        integratedLufs: loudnormNumber(report.input_i),
+        truePeakDbtp: loudnormNumber(report.input_tp),
+        loudnessRange: loudnormNumber(report.input_lra),
+        thresholdLufs: loudnormNumber(report.input_thresh),
+        targetOffset: loudnormNumber(report.target_offset)
+    };
+}
+
+/**
+ * Computes the waveform of an audio file: the loudest sample of each of `points` equal slices,
+ * from 0 to WAVEFORM_MAX_PEAK. Resolves with { points, maxPeak, peaks }.
+ *
+ * @param {string} filePath
+ * @param {object} options
+ * @param {number} options.points - Number of peaks
+ * @param {number} options.duration - Duration of the file in seconds (see probeDuration)
+ * @param {number} options.timeoutMs
+ */
+export async function computeWaveform(filePath, { points, duration, timeoutMs }) {
+    const samplesPerPoint = Math.max(1, Math.ceil((duration * WAVEFORM_SAMPLE_RATE) / points));
+    const loudest = new Array(points).fill(0);
+    let sampleIndex = 0;
+    let leftover = null;
+
+    // Decoded as signed 16-bit little-endian samples; a chunk may end in the middle of one
+    const onStdout = chunk => {
+        const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+        const usable = buffer.length - (buffer.length % 2);
+        for (let offset = 0; offset < usable; offset += 2) {
+            const point = Math.min(points - 1, Math.floor(sampleIndex / samplesPerPoint));
+            const amplitude = Math.abs(buffer.readInt16LE(offset));
+            if (amplitude > loudest[point]) {
+                loudest[point] = amplitude;
+            }
+            sampleIndex++;
+        }
+        leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+    };
+
+    await runTool('ffmpeg', [
+        '-hide_banner', '-nostats', '-v', 'error',
+        '-i', filePath,
+        '-map', '0:a:0',
+        '-ac', '1',
+        '-ar', String(WAVEFORM_SAMPLE_RATE),
+        '-f', 's16le', '-acodec', 'pcm_s16le',
+        '-'
+    ], { timeoutMs, onStdout });
+
+    return {
+        points,
+        maxPeak: WAVEFORM_MAX_PEAK,
+        peaks: loudest.map(amplitude => Math.min(WAVEFORM_MAX_PEAK, Math.round((amplitude / 32768) * WAVEFORM_MAX_PEAK)))
+    };
+}
+
+/**
+ * Turns a loudness measurement into what is stored with the track: the measurement and
+ * ReplayGain-style track gain (dB, relative to REPLAYGAIN_REFERENCE_LUFS) and track peak
+ * (linear, 1 is full scale). For silent audio the gain is null and the peak 0.
+ */
+export function toTrackLoudness(measurement) {
+    const { integratedLufs, truePeakDbtp, loudnessRange } = measurement;
+    const finiteOrNull = (value, digits) => (Number.isFinite(value) ? round(value, digits) : null);
+    return {
+        integratedLufs: finiteOrNull(integratedLufs, 2),
+        truePeakDbtp: finiteOrNull(truePeakDbtp, 2),
+        loudnessRange: finiteOrNull(loudnessRange, 2),
+        referenceLufs: REPLAYGAIN_REFERENCE_LUFS,
+        trackGainDb: finiteOrNull(REPLAYGAIN_REFERENCE_LUFS - integratedLufs, 2),
+        trackPeak: finiteOrNull(10 ** (truePeakDbtp / 20), 6)
+    };
+}
+
+/**
+ * Measures an audio file: its exact duration, loudness and waveform.
+ * Resolves with { duration, loudness, measurement, waveform }; measurement is what
+ * writeNormalizedCopy needs, loudness what goes into the track record (see toTrackLoudness).
+ *
+ * @param {string} filePath
+ * @param {object} options
+ * @param {number} options.targetLufs - Loudness normalized copies are made at
+ * @param {number} options.waveformPoints - Number of waveform peaks
+ * @param {number} options.timeoutMs - Limit for each ffmpeg/ffprobe run
+ */
+export async function analyzeAudio(filePath, { targetLufs, waveformPoints, timeoutMs }) {
+    const duration = await probeDuration(filePath, { timeoutMs });
+    const measurement = await measureLoudness(filePath, { targetLufs, timeoutMs });
+    const waveform = await computeWaveform(filePath, { points: waveformPoints, duration, timeoutMs });
+    return {
+        duration: round(duration, 3),
+        loudness: toTrackLoudness(measurement),
+        measurement,
+        waveform
+    };
+}
+
+/**
+ * Writes a copy of an audio file normalized to targetLufs, in the same format and bitrate as
+ * its variant. Uses the measurement of analyzeAudio (loudnorm's second pass, linear mode), so
+ * the whole track is turned up or down evenly instead of being compressed.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} options
+ * @param {object} options.measurement - From analyzeAudio, measured with the same targetLufs
+ * @param {number} options.targetLufs
+ * @param {object} options.variant - The output variant of the input (see audio-formats.js)
+ * @param {number} options.timeoutMs
+ */
+export async function writeNormalizedCopy(inputPath, outputPath, { measurement, targetLufs, variant, timeoutMs }) {
+    if (!Number.isFinite(measurement.integratedLufs)) {
+        throw new Error('Silent audio cannot be normalized');
+    }
+    const loudnorm = [
+        `I=${targetLufs}`,
+        `TP=${NORMALIZE_TRUE_PEAK}`,
+        `LRA=${NORMALIZE_LOUDNESS_RANGE}`,
+        `measured_I=${measurement.integratedLufs}`,
+        `measured_TP=${measurement.truePeakDbtp}`,
+        `measured_LRA=${measurement.loudnessRange}`,
+        `measured_thresh=${measurement.thresholdLufs}`,
+        `offset=${measurement.targetOffset}`,
+        'linear=true'
+    ].join(':');
+    const coverArgs = COVER_STREAM_FORMATS.includes(variant.format)
+        ? ['-map', '0:v?', '-c:v', 'copy', '-disposition:v', 'attached_pic']
+        : [];
+    await runTool('ffmpeg', [
+        '-hide_banner', '-nostats', '-v', 'error', '-y',
+        '-i', inputPath,
+        '-map', '0:a:0',
+        ...coverArgs,
+        '-map_metadata', '0',
+        '-af', `loudnorm=${loudnorm}`,
+        // loudnorm works at 192 kHz internally; bring it back to a rate every encoder takes
+        '-ar', '48000',
+        ...ffmpegEncoderArgs(variant),
+        outputPath
+    ], { timeoutMs });
+}
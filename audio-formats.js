@@ -0,0 +1,116 @@
+// audio-formats.js - Audio formats we produce and how they are served
+
+// Content-Type for each processed file extension
+export const CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    opus: 'audio/ogg; codecs=opus',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac'
+};
+
+/**
+ * Returns the Content-Type for a file name or storage key, by its extension.
+ */
+export function contentTypeFor(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+// Output formats a download can be converted to.
+// ytdlpFormat is the --audio-format value, extension the resulting file extension and
+// ffmpegCodec the encoder used when we re-encode a file ourselves (normalized copies).
+export const OUTPUT_FORMATS = {
+    mp3: { ytdlpFormat: 'mp3', extension: 'mp3', ffmpegCodec: 'libmp3lame', lossless: false },
+    m4a: { ytdlpFormat: 'm4a', extension: 'm4a', ffmpegCodec: 'aac', lossless: false },
+    opus: { ytdlpFormat: 'opus', extension: 'opus', ffmpegCodec: 'libopus', lossless: false },
+    ogg: { ytdlpFormat: 'vorbis', extension: 'ogg', ffmpegCodec: 'libvorbis', lossless: false },
+    flac: { ytdlpFormat: 'flac', extension: 'flac', ffmpegCodec: 'flac', lossless: true }
+};
+
+// Other names accepted for a format
+const FORMAT_ALIASES = { aac: 'm4a', vorbis: 'ogg' };
+
+// Qualities for lossy formats: 'default' leaves the choice to yt-dlp, 'best' is the highest VBR
+// setting, the rest are target bitrates. Lossless formats only have 'lossless'.
+export const LOSSY_QUALITIES = ['default', 'best', '64k', '96k', '128k', '160k', '192k', '256k', '320k'];
+
+export const DEFAULT_FORMAT = 'mp3';
+export const DEFAULT_QUALITY = 'default';
+
+/**
+ * Validates a requested output format and quality against the allowlists.
+ * Missing values fall back to the defaults. Throws an Error describing the problem
+ * if either is not allowed.
+ *
+ * Returns the output variant: { id, format, quality, extension, ytdlpArgs, isDefault }
+ */
+export function resolveOutputVariant(requestedFormat, requestedQuality) {
+    const formatName = String(requestedFormat || DEFAULT_FORMAT).toLowerCase();
+    const format = FORMAT_ALIASES[formatName] || formatName;
+    const formatInfo = OUTPUT_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Unsupported format "${formatName}". Use one of: ${[...Object.keys(OUTPUT_FORMATS), ...Object.keys(FORMAT_ALIASES)].join(', ')}.`);
+    }
+
+    let quality = String(requestedQuality || '').toLowerCase();
+    if (formatInfo.lossless) {
+        if (quality && quality !== 'lossless' && quality !== 'best' && quality !== DEFAULT_QUALITY) {
+            throw new Error(`Format "${format}" is lossless and takes no bitrate.`);
+        }
+        quality = 'lossless';
+    } else {
+        quality = quality || DEFAULT_QUALITY;
+        if (!LOSSY_QUALITIES.includes(quality)) {
+            throw new Error(`Unsupported quality "${quality}". Use one of: ${LOSSY_QUALITIES.join(', ')}.`);
+        }
+    }
+
+    const ytdlpArgs = ['--audio-format', formatInfo.ytdlpFormat];
+    if (quality === 'best') {
+        ytdlpArgs.push('--audio-quality', '0');
+    } else if (quality.endsWith('k')) {
+        ytdlpArgs.push('--audio-quality', quality.toUpperCase());
+    }
+
+    return {
+        id: `${format}-${quality}`,
+        format,
+        quality,
+        extension: formatInfo.extension,
+        ytdlpArgs,
+        isDefault: format === DEFAULT_FORMAT && quality === DEFAULT_QUALITY
+    };
+}
+
+/**
+ * Storage key of one output variant of a track.
+ * The default variant keeps the original 'audio/<hash>.mp3' key, so files processed
+ * before formats were selectable are still found.
+ */
+export function variantStorageKey(hash, variant) {
+    return variant.isDefault ? `audio/${hash}.mp3` : `audio/${hash}.${variant.quality}.${variant.extension}`;
+}
+
+/**
+ * Storage key of the loudness-normalized copy of one output variant of a track
+ * (e.g. 'audio/<hash>.default.normalized.mp3'). It shares the track's storage group.
+ */
+export function normalizedStorageKey(hash, variant) {
+    return `audio/${hash}.${variant.quality}.normalized.${variant.extension}`;
+}
+
+/**
+ * ffmpeg arguments that encode audio the way yt-dlp encoded the variant: the same codec,
+ * and the same bitrate when one was asked for.
+ */
+export function ffmpegEncoderArgs(variant) {
+    const args = ['-c:a', OUTPUT_FORMATS[variant.format].ffmpegCodec];
+    if (variant.quality.endsWith('k')) {
+        args.push('-b:a', variant.quality);
+    } else if (variant.quality === 'best' && variant.format === 'mp3') {
+        args.push('-q:a', '0');
+    }
+    return args;
+}
@@ -0,0 +1,39 @@
+// audio-tags.js - yt-dlp arguments that tag processed files and embed their cover art
+//
+// yt-dlp writes the tags itself (--embed-metadata), as ID3 for mp3, MP4 atoms for m4a and
+// Vorbis comments for opus, ogg and flac, filling in title, artist, album, date and track
+// number from the track's info JSON. Cover art is the thumbnail, converted to JPEG since
+// not every container takes WebP. Embedding into opus, ogg, flac and m4a needs the
+// Python mutagen package next to yt-dlp.
+
+// Quotes a value for yt-dlp's --postprocessor-args, which it splits like a POSIX shell would
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'"'"'`)}'`;
+}
+
+/**
+ * Returns the yt-dlp arguments for tagging a processed file.
+ * For album items, album and trackNumber override what the source reports
+ * (single tracks of a set rarely carry their position in it); they are passed to the
+ * ffmpeg run that writes the tags.
+ *
+ * @param {object} [albumItem]
+ * @param {string} [albumItem.album] - Album title
+ * @param {number} [albumItem.trackNumber] - 1-based position in the album
+ * @param {number} [albumItem.trackCount] - Number of tracks in the album
+ */
+export function buildTaggingArgs({ album, trackNumber, trackCount } = {}) {
+    const args = ['--embed-metadata', '--embed-thumbnail', '--convert-thumbnails', 'jpg'];
+    const overrides = [];
+    if (album) {
+        overrides.push('-metadata', shellQuote(`album=${album}`));
+    }
+    if (Number.isInteger(trackNumber) && trackNumber > 0) {
+        const track = Number.isInteger(trackCount) && trackCount > 0 ? `${trackNumber}/${trackCount}` : `${trackNumber}`;
+        overrides.push('-metadata', shellQuote(`track=${track}`));
+    }
+    if (overrides.length > 0) {
+        args.push('--postprocessor-args', `Metadata+ffmpeg_o:${overrides.join(' ')}`);
+    }
+    return args;
+}
@@ -0,0 +1,98 @@
+// auth.js - Firebase ID-token authentication for mutating routes
+import crypto from 'crypto';
+
+// Extracts the token from "Authorization: Bearer <token>", or returns null
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Verifies the token and sets req.user; responds with 401 and resolves false if it is invalid
+async function authenticate(verifyIdToken, token, req, res) {
+    try {
+        const decodedToken = await verifyIdToken(token);
+        req.user = { uid: decodedToken.uid, email: decodedToken.email || null };
+        return true;
+    } catch (error) {
+        console.warn(`Rejected Firebase ID token for ${req.method} ${req.path}: ${error.message}`);
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        res.status(401).json({ success: false, message: 'Invalid or expired ID token. Sign in again.' });
+        return false;
+    }
+}
+
+/**
+ * Creates the middleware that requires a signed-in user.
+ * Expects "Authorization: Bearer <Firebase ID token>"; on success the decoded user is
+ * available as req.user = { uid, email }.
+ *
+ * @param {object} options
+ * @param {Function|null} options.verifyIdToken - async (token) => decoded token, e.g.
+ *   admin.auth().verifyIdToken (which talks to the Auth emulator when
+ *   FIREBASE_AUTH_EMULATOR_HOST is set), or a stand-in. null if authentication is unavailable.
+ */
+export function createRequireAuth({ verifyIdToken }) {
+    return async function requireAuth(req, res, next) {
+        if (!verifyIdToken) {
+            return res.status(503).json({ success: false, message: 'Authentication is not available: the Firebase Admin SDK is not initialized.' });
+        }
+        const token = bearerToken(req);
+        if (!token) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ success: false, message: 'Sign-in required. Send a Firebase ID token as "Authorization: Bearer <token>".' });
+        }
+        if (await authenticate(verifyIdToken, token, req, res)) {
+            next();
+        }
+    };
+}
+
+/**
+ * Creates the middleware that only lets administrators through; use it after requireAuth.
+ *
+ * @param {object} options
+ * @param {string[]} options.adminUids - Firebase uids of the administrators
+ */
+export function createRequireAdmin({ adminUids }) {
+    return function requireAdmin(req, res, next) {
+        if (!adminUids.includes(req.user?.uid)) {
+            console.warn(`Refused ${req.method} ${req.path} to non-admin ${req.user?.uid}`);
+            return res.status(403).json({ success: false, message: 'Administrator access required.' });
+        }
+        next();
+    };
+}
+
+/**
+ * Whether the request carries the monitoring token (METRICS_TOKEN) as "Authorization: Bearer <token>".
+ * Always false while no token is configured.
+ *
+ * @param {object} req - Express request
+ * @param {string|undefined} metricsToken - The configured token
+ */
+export function hasMetricsToken(req, metricsToken) {
+    const token = bearerToken(req);
+    if (!metricsToken || !token) {
+        return false;
+    }
+    // Hashed first so the comparison takes the same time whatever the length of the guess
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(metricsToken));
+}
+
+/**
+ * Creates the middleware for routes that anyone may call but that show more to a signed-in user.
+ * Sets req.user like requireAuth when a token is sent (and rejects an invalid one),
+ * leaves it undefined otherwise.
+ */
+export function createOptionalAuth({ verifyIdToken }) {
+    return async function optionalAuth(req, res, next) {
+        const token = bearerToken(req);
+        if (!token || !verifyIdToken) {
+            return next();
+        }
+        if (await authenticate(verifyIdToken, token, req, res)) {
+            next();
+        }
+    };
+}
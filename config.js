@@ -0,0 +1,251 @@
+// config.js - All settings of the backend, validated once at startup
+//
+// Settings come from environment variables and, optionally, a JSON config file named by
+// CONFIG_FILE. The file is a flat object with the same names as the environment variables
+// (e.g. { "REDIS_HOST": "...", "DOWNLOAD_CONCURRENCY": 4 }); environment variables win.
+// Invalid or missing required values stop the server with one message listing every problem.
+import fs from 'fs';
+import { USER_AGENT } from './ytdlp-runner.js';
+import { parseRateLimit } from './rate-limit.js';
+import { STORAGE_BACKENDS } from './storage/index.js';
+
+const MB = 1024 * 1024;
+const REDACTED = '[redacted]';
+
+/**
+ * Every setting: the variable it is read from, where it ends up in the config object, its type
+ * (string, integer, boolean, list, json or rate) and default. Integers may be scaled (e.g.
+ * seconds to milliseconds); secret values never show up in logs.
+ */
+const SETTINGS = [
+    { name: 'PORT', path: 'port', type: 'integer', default: 10000, min: 1, max: 65535 },
+    { name: 'TRUST_PROXY', path: 'trustProxy', type: 'string' },
+    {
+        name: 'CORS_ORIGINS',
+        path: 'corsOrigins',
+        type: 'list',
+        default: ['https://96mayar96.github.io', 'http://localhost:3000', 'http://localhost:3001']
+    },
+
+    // Firebase uids of the users allowed to call the /admin routes
+    { name: 'ADMIN_UIDS', path: 'adminUids', type: 'list', default: [] },
+    // Bearer token for /metrics and the detailed /healthz and /readyz output; /metrics is off without it
+    { name: 'METRICS_TOKEN', path: 'metricsToken', type: 'string', secret: true },
+
+    { name: 'FIREBASE_ADMIN_SDK_CONFIG', path: 'firebase.serviceAccount', type: 'json', secret: true },
+    { name: 'FIREBASE_STORAGE_BUCKET', path: 'firebase.storageBucket', type: 'string', default: 'yourmusicplayerapp.firebasestorage.app' },
+    { name: 'FIREBASE_PROJECT_ID', path: 'firebase.projectId', type: 'string', default: 'demo-yourmusicplayerapp' },
+
+    { name: 'STORAGE_BACKEND', path: 'storage.backend', type: 'string', default: 'firebase', oneOf: STORAGE_BACKENDS },
+    { name: 'S3_BUCKET', path: 'storage.s3.bucket', type: 'string' },
+    { name: 'S3_ENDPOINT', path: 'storage.s3.endpoint', type: 'string' },
+    { name: 'S3_REGION', path: 'storage.s3.region', type: 'string', default: 'us-east-1' },
+    { name: 'S3_ACCESS_KEY_ID', path: 'storage.s3.accessKeyId', type: 'string', secret: true },
+    { name: 'S3_SECRET_ACCESS_KEY', path: 'storage.s3.secretAccessKey', type: 'string', secret: true },
+    { name: 'S3_FORCE_PATH_STYLE', path: 'storage.s3.forcePathStyle', type: 'boolean', default: false },
+    { name: 'S3_PUBLIC_URL', path: 'storage.s3.publicUrl', type: 'string' },
+    // Signed storage URLs (audioUrl of jobs) expire after this; S3 allows at most a week
+    { name: 'SIGNED_URL_TTL_MINUTES', path: 'storage.signedUrlTtlMs', type: 'integer', default: 60, min: 1, max: 7 * 24 * 60, scale: 60 * 1000 },
+    // Without a quota stored files are never evicted
+    { name: 'STORAGE_QUOTA_MB', path: 'storage.quotaBytes', type: 'integer', min: 1, scale: MB },
+    { name: 'STORAGE_MIN_IDLE_MINUTES', path: 'storage.minIdleMs', type: 'integer', default: 60, min: 0, scale: 60 * 1000 },
+    { name: 'TEMP_MAX_AGE_MINUTES', path: 'storage.tempMaxAgeMs', type: 'integer', default: 60, min: 1, scale: 60 * 1000 },
+    { name: 'MIN_FREE_DISK_MB', path: 'health.minFreeBytes', type: 'integer', default: 500, min: 0, scale: MB },
+    { name: 'HEALTH_TOOL_CACHE_SECONDS', path: 'health.toolCacheMs', type: 'integer', default: 300, min: 0, scale: 1000 },
+    { name: 'MAINTENANCE_INTERVAL_MINUTES', path: 'storage.maintenanceIntervalMs', type: 'integer', default: 60, min: 1, scale: 60 * 1000 },
+
+    // Without REDIS_HOST the backend runs without Redis (local caches and limits, memory stores)
+    { name: 'REDIS_HOST', path: 'redis.host', type: 'string' },
+    { name: 'REDIS_PORT', path: 'redis.port', type: 'integer', default: 6379, min: 1, max: 65535 },
+    { name: 'REDIS_USERNAME', path: 'redis.username', type: 'string', default: 'default' },
+    { name: 'REDIS_PASSWORD', path: 'redis.password', type: 'string', secret: true },
+    { name: 'REDIS_TLS', path: 'redis.tls', type: 'boolean', default: false },
+
+    { name: 'LIBRARY_STORE', path: 'stores.library', type: 'string', default: 'redis', oneOf: ['redis', 'memory'] },
+    { name: 'PLAYLIST_STORE', path: 'stores.playlist', type: 'string', default: 'redis', oneOf: ['redis', 'memory'] },
+
+    { name: 'SEARCH_CACHE_TTL_SECONDS', path: 'searchCache.ttlSeconds', type: 'integer', default: 3600, min: 1 },
+    { name: 'DOWNLOAD_CONCURRENCY', path: 'downloads.concurrency', type: 'integer', default: 2, min: 1 },
+    { name: 'JOB_RETENTION_SECONDS', path: 'downloads.retentionMs', type: 'integer', default: 3600, min: 1, scale: 1000 },
+
+    { name: 'ANALYSIS_TIMEOUT_SECONDS', path: 'analysis.timeoutMs', type: 'integer', default: 300, min: 1, scale: 1000 },
+    { name: 'NORMALIZE_TARGET_LUFS', path: 'analysis.targetLufs', type: 'integer', default: -14, min: -40, max: -5 },
+    { name: 'WAVEFORM_POINTS', path: 'analysis.waveformPoints', type: 'integer', default: 200, min: 16, max: 2000 },
+
+    { name: 'LYRICS_LANGUAGE', path: 'lyrics.language', type: 'string', default: 'en' },
+
+    { name: 'YTDLP_USER_AGENT', path: 'ytdlp.userAgent', type: 'string', default: USER_AGENT },
+    { name: 'YTDLP_SOCKET_TIMEOUT_SECONDS', path: 'ytdlp.socketTimeoutSeconds', type: 'integer', default: 60, min: 1 },
+    { name: 'YTDLP_SEARCH_TIMEOUT_SECONDS', path: 'ytdlp.search.timeoutMs', type: 'integer', default: 120, min: 1, scale: 1000 },
+    { name: 'YTDLP_SEARCH_MAX_OUTPUT_MB', path: 'ytdlp.search.maxOutputBytes', type: 'integer', default: 50, min: 1, scale: MB },
+    { name: 'YTDLP_INFO_TIMEOUT_SECONDS', path: 'ytdlp.info.timeoutMs', type: 'integer', default: 60, min: 1, scale: 1000 },
+    { name: 'YTDLP_INFO_MAX_OUTPUT_MB', path: 'ytdlp.info.maxOutputBytes', type: 'integer', default: 5, min: 1, scale: MB },
+    { name: 'YTDLP_DOWNLOAD_TIMEOUT_SECONDS', path: 'ytdlp.download.timeoutMs', type: 'integer', default: 900, min: 1, scale: 1000 },
+    { name: 'YTDLP_DOWNLOAD_MAX_OUTPUT_MB', path: 'ytdlp.download.maxOutputBytes', type: 'integer', default: 10, min: 1, scale: MB },
+    { name: 'YTDLP_PLAYLIST_TIMEOUT_SECONDS', path: 'ytdlp.playlist.timeoutMs', type: 'integer', default: 120, min: 1, scale: 1000 },
+    { name: 'YTDLP_PLAYLIST_MAX_OUTPUT_MB', path: 'ytdlp.playlist.maxOutputBytes', type: 'integer', default: 50, min: 1, scale: MB },
+
+    { name: 'RATE_LIMIT_SEARCH', path: 'rateLimits.search', type: 'rate', default: { limit: 30, windowSeconds: 60 } },
+    { name: 'RATE_LIMIT_DOWNLOAD', path: 'rateLimits.download', type: 'rate', default: { limit: 10, windowSeconds: 300 } },
+    { name: 'RATE_LIMIT_ALBUM_TRACKS', path: 'rateLimits.albumTracks', type: 'rate', default: { limit: 10, windowSeconds: 60 } },
+    { name: 'RATE_LIMIT_ALBUM_DOWNLOAD', path: 'rateLimits.albumDownload', type: 'rate', default: { limit: 3, windowSeconds: 600 } },
+    { name: 'RATE_LIMIT_LYRICS', path: 'rateLimits.lyrics', type: 'rate', default: { limit: 20, windowSeconds: 60 } }
+];
+
+// Converts one raw value (a string from the environment, or any JSON value from the file)
+function parseValue(setting, raw) {
+    switch (setting.type) {
+        case 'string':
+            return String(raw);
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : /^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN;
+            if (!Number.isInteger(value)) {
+                throw new Error('must be a whole number');
+            }
+            if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+                throw new Error(`must be between ${setting.min ?? '-∞'} and ${setting.max ?? '∞'}`);
+            }
+            return value;
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true' || raw === '1') {
+                return true;
+            }
+            if (raw === false || raw === 'false' || raw === '0') {
+                return false;
+            }
+            throw new Error('must be true or false');
+        case 'list':
+            if (Array.isArray(raw) ? raw.some(item => typeof item !== 'string') : typeof raw === 'object') {
+                throw new Error('must be a comma-separated list or an array of strings');
+            }
+            return (Array.isArray(raw) ? raw : String(raw).split(','))
+                .map(item => item.trim())
+                .filter(Boolean);
+        case 'json':
+            if (typeof raw === 'object') {
+                return raw;
+            }
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`must be valid JSON (${error.message})`);
+            }
+        case 'rate':
+            try {
+                return parseRateLimit(String(raw), setting.default);
+            } catch {
+                throw new Error('must be "<requests>/<seconds>" or "off"');
+            }
+        default:
+            throw new Error(`has unknown type ${setting.type}`);
+    }
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) {
+        node = node[key] ??= {};
+    }
+    node[last] = value;
+}
+
+function readConfigFile(configFile) {
+    let contents;
+    try {
+        contents = fs.readFileSync(configFile, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read config file ${configFile}: ${error.message}`);
+    }
+    let values;
+    try {
+        values = JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Config file ${configFile} is not valid JSON: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Config file ${configFile} must contain a JSON object.`);
+    }
+    const known = new Set(SETTINGS.map(setting => setting.name));
+    const unknown = Object.keys(values).filter(name => !known.has(name));
+    if (unknown.length > 0) {
+        throw new Error(`Config file ${configFile} has unknown settings: ${unknown.join(', ')}`);
+    }
+    return values;
+}
+
+// Checks between settings that single values cannot express
+function crossCheck(config) {
+    const problems = [];
+    if (config.storage.backend === 's3' && !config.storage.s3.bucket) {
+        problems.push('S3_BUCKET is required when STORAGE_BACKEND is s3');
+    }
+    if (config.storage.tempMaxAgeMs <= config.ytdlp.download.timeoutMs) {
+        problems.push('TEMP_MAX_AGE_MINUTES must be longer than YTDLP_DOWNLOAD_TIMEOUT_SECONDS, or running downloads would be swept');
+    }
+    if (config.redis.password && !config.redis.host) {
+        problems.push('REDIS_PASSWORD is set but REDIS_HOST is not');
+    }
+    return problems;
+}
+
+/**
+ * Reads and validates the configuration.
+ * Throws one Error listing every invalid or missing value.
+ *
+ * @param {object} [env] - Where to read variables from (process.env by default)
+ * @returns {object} The frozen config; unset optional values are null
+ */
+export function loadConfig(env = process.env) {
+    const fileValues = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+    const config = {};
+    const problems = [];
+
+    for (const setting of SETTINGS) {
+        const envValue = env[setting.name];
+        const raw = envValue !== undefined && envValue !== '' ? envValue : fileValues[setting.name];
+        try {
+            const isSet = raw !== undefined && raw !== null && raw !== '';
+            const value = isSet ? parseValue(setting, raw) : setting.default ?? null;
+            if (isSet && setting.oneOf && !setting.oneOf.includes(value)) {
+                throw new Error(`must be one of: ${setting.oneOf.join(', ')}`);
+            }
+            setPath(config, setting.path, setting.scale && value !== null ? value * setting.scale : value);
+        } catch (error) {
+            problems.push(`${setting.name} ${error.message}`);
+        }
+    }
+
+    problems.push(...(problems.length === 0 ? crossCheck(config) : []));
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+    return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+    Object.values(object).forEach(value => {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    });
+    return Object.freeze(object);
+}
+
+/**
+ * Returns a copy of the config that is safe to log: secret values are replaced.
+ */
+export function redactConfig(config) {
+    const copy = JSON.parse(JSON.stringify(config));
+    for (const setting of SETTINGS.filter(setting => setting.secret)) {
+        const keys = setting.path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node?.[key], copy);
+        if (parent && parent[last] !== null && parent[last] !== undefined) {
+            parent[last] = REDACTED;
+        }
+    }
+    return copy;
+}
@@ -0,0 +1,141 @@
+// download-queue.js - In-process job queue with bounded concurrency for audio downloads
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+export const JOB_STATES = ['queued', 'downloading', 'converting', 'analyzing', 'uploading', 'done', 'failed'];
+
+/**
+ * Creates a download queue.
+ * Jobs are identified by a random id, and deduplicated by a key (the md5 hash of
+ * the source URL and the output variant): enqueueing a key that is still queued or
+ * running returns the existing job instead of starting a second download.
+ *
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum number of jobs processed at once
+ * @param {Function} options.processJob - async (job, update) => result; update(changes) patches the job,
+ *   the resolved result is merged into the job when it is done, a thrown error fails it (an error
+ *   with a code and a retryable flag, such as a YtDlpError, sets the job's errorCode and retryable)
+ * @param {number} options.retentionMs - How long finished jobs stay queryable
+ *
+ * Every change to a job is announced to listeners registered with subscribe(key, listener).
+ */
+export function createDownloadQueue({ concurrency, processJob, retentionMs }) {
+    const jobs = new Map();
+    const activeJobsByKey = new Map();
+    const latestJobsByKey = new Map();
+    const pending = [];
+    const events = new EventEmitter();
+    // Each progress stream adds a listener, so don't warn about many subscribers
+    events.setMaxListeners(0);
+    let running = 0;
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        events.emit(job.key, job, changes);
+    }
+
+    function finish(job, changes) {
+        activeJobsByKey.delete(job.key);
+        update(job, changes);
+        // Finished jobs are kept around for polling, then forgotten
+        setTimeout(() => {
+            jobs.delete(job.id);
+            if (latestJobsByKey.get(job.key) === job) {
+                latestJobsByKey.delete(job.key);
+            }
+        }, retentionMs).unref();
+    }
+
+    function drain() {
+        while (running < concurrency && pending.length > 0) {
+            const job = pending.shift();
+            running++;
+            Promise.resolve()
+                .then(() => processJob(job, changes => update(job, changes)))
+                .then(result => finish(job, { ...result, state: 'done' }))
+                .catch(error => {
+                    console.error(`Download job ${job.id} failed: ${error.message}`);
+                    const classified = typeof error.retryable === 'boolean';
+                    finish(job, {
+                        state: 'failed',
+                        error: error.message,
+                        errorCode: classified ? error.code : null,
+                        retryable: classified ? error.retryable : null
+                    });
+                })
+                .finally(() => {
+                    running--;
+                    drain();
+                });
+        }
+    }
+
+    /**
+     * Adds a job for the given key unless one is already queued or running.
+     * Returns { job, merged }.
+     */
+    function enqueue(key, payload) {
+        const existing = activeJobsByKey.get(key);
+        if (existing) {
+            return { job: existing, merged: true };
+        }
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            key,
+            ...payload,
+            state: 'queued',
+            createdAt: now,
+            updatedAt: now
+        };
+        jobs.set(job.id, job);
+        activeJobsByKey.set(key, job);
+        latestJobsByKey.set(key, job);
+        pending.push(job);
+        drain();
+        return { job, merged: false };
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    /**
+     * Returns the running job for a key, or the most recent finished one that is still retained.
+     */
+    function getJobByKey(key) {
+        return activeJobsByKey.get(key) || latestJobsByKey.get(key) || null;
+    }
+
+    /**
+     * Calls listener(job, changes) whenever a job for the key changes.
+     * Returns a function that removes the listener.
+     */
+    function subscribe(key, listener) {
+        events.on(key, listener);
+        return () => events.off(key, listener);
+    }
+
+    /**
+     * Resolves with the job once it is done or failed.
+     */
+    function waitForJob(job) {
+        return new Promise(resolve => {
+            if (job.state === 'done' || job.state === 'failed') {
+                return resolve(job);
+            }
+            const unsubscribe = subscribe(job.key, updatedJob => {
+                if (updatedJob === job && (job.state === 'done' || job.state === 'failed')) {
+                    unsubscribe();
+                    resolve(job);
+                }
+            });
+        });
+    }
+
+    function stats() {
+        return { queued: pending.length, running, concurrency };
+    }
+
+    return { enqueue, getJob, getJobByKey, subscribe, waitForJob, stats };
+}
@@ -0,0 +1,131 @@
+// health.js - Checks behind the /healthz and /readyz endpoints
+import fs from 'fs';
+import { execFile } from 'child_process';
+
+const CHECK_TIMEOUT_MS = 5000;
+
+// Rejects if the promise takes longer than CHECK_TIMEOUT_MS
+function withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs "<command> <versionArg>" and resolves with the first line it prints
+function toolVersion(command, versionArg) {
+    return new Promise((resolve, reject) => {
+        execFile(command, [versionArg], { timeout: CHECK_TIMEOUT_MS }, (error, stdout) => {
+            if (error) {
+                return reject(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+            }
+            resolve(stdout.split('\n')[0].trim());
+        });
+    });
+}
+
+/**
+ * Creates the health checks.
+ * Each check resolves with { status: 'ok' | 'fail' | 'skipped', critical, ...details }.
+ * A failing critical check makes the server not ready; Redis is not critical because
+ * every Redis user has a fallback.
+ *
+ * @param {object} options
+ * @param {object} options.redisClient - node-redis client (may be null)
+ * @param {object} options.storage - Storage backend (may be null if it failed to set up)
+ * @param {string} options.storageBackend - Name of the configured backend, for reports
+ * @param {string} options.tempDir - Directory downloads are written to
+ * @param {number} options.minFreeBytes - Less free space than this in tempDir fails the disk check
+ * @param {number} options.toolCacheMs - How long tool versions are reused before asking again
+ */
+export function createHealthChecks({ redisClient, storage, storageBackend, tempDir, minFreeBytes, toolCacheMs }) {
+    // Spawning yt-dlp and ffmpeg on every probe would be wasteful, so their versions are cached
+    const toolResults = new Map();
+
+    async function checkTool(command, versionArg) {
+        const cached = toolResults.get(command);
+        if (cached && Date.now() - cached.checkedAt < toolCacheMs) {
+            return cached.result;
+        }
+        let result;
+        try {
+            result = { status: 'ok', critical: true, version: await toolVersion(command, versionArg) };
+        } catch (error) {
+            result = { status: 'fail', critical: true, error: error.message };
+        }
+        toolResults.set(command, { checkedAt: Date.now(), result });
+        return result;
+    }
+
+    async function checkRedis() {
+        if (!redisClient) {
+            return { status: 'skipped', critical: false, reason: 'REDIS_HOST is not set' };
+        }
+        if (!redisClient.isReady) {
+            return { status: 'fail', critical: false, error: 'Redis is not connected' };
+        }
+        const startedAt = Date.now();
+        try {
+            await withTimeout(redisClient.ping(), 'Redis');
+            return { status: 'ok', critical: false, latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'fail', critical: false, error: error.message };
+        }
+    }
+
+    async function checkStorage() {
+        if (!storage) {
+            return { status: 'fail', critical: true, backend: storageBackend, error: 'Storage backend is not set up' };
+        }
+        const startedAt = Date.now();
+        try {
+            // A lookup of a key that does not exist still has to reach the backend
+            await withTimeout(storage.exists('healthz'), `${storage.name} storage`);
+            return { status: 'ok', critical: true, backend: storage.name, latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'fail', critical: true, backend: storage.name, error: error.message };
+        }
+    }
+
+    async function checkDisk() {
+        try {
+            const stats = await fs.promises.statfs(tempDir);
+            const freeBytes = stats.bavail * stats.bsize;
+            return {
+                status: freeBytes >= minFreeBytes ? 'ok' : 'fail',
+                critical: true,
+                path: tempDir,
+                freeBytes,
+                minFreeBytes
+            };
+        } catch (error) {
+            return { status: 'fail', critical: true, path: tempDir, error: error.message };
+        }
+    }
+
+    /**
+     * Runs every check. Resolves with { ready, checks }; ready is false if a critical check failed.
+     */
+    async function run() {
+        const [redis, storageCheck, ytdlp, ffmpeg, disk] = await Promise.all([
+            checkRedis(),
+            checkStorage(),
+            checkTool('yt-dlp', '--version'),
+            checkTool('ffmpeg', '-version'),
+            checkDisk()
+        ]);
+        const checks = { redis, storage: storageCheck, ytdlp, ffmpeg, disk };
+        const ready = Object.values(checks).every(check => !check.critical || check.status !== 'fail');
+        return { ready, checks };
+    }
+
+    return { run };
+}
+
+/**
+ * The checks as shown to anyone: only their status, without error messages, paths or versions.
+ */
+export function publicChecks(checks) {
+    return Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { status: check.status }]));
+}
@@ -0,0 +1,92 @@
+// library-store.js - Per-user libraries of saved tracks
+//
+// A library only holds references (the md5 hash of a track's source URL) and when they were
+// added; the audio and its metadata are stored once per track and shared by every user.
+//
+// Every store implements (all methods async):
+//   list(uid)          - [{ hash, addedAt }], most recently added first
+//   add(uid, hash)     - adds the track, resolves with its entry (the existing one if already saved)
+//   remove(uid, hash)  - removes the track, resolves with whether it was in the library
+//   referencedHashes() - Set of every track hash in any user's library
+
+/**
+ * Creates a library store in Redis, one hash per user ('library:<uid>': track hash -> added time).
+ * Fails while Redis is not connected rather than silently losing libraries.
+ */
+export function createRedisLibraryStore(redisClient) {
+    const keyFor = uid => `library:${uid}`;
+    const ensureReady = () => {
+        if (!redisClient || !redisClient.isReady) {
+            throw new Error('Redis is not connected.');
+        }
+    };
+
+    return {
+        async list(uid) {
+            ensureReady();
+            const entries = await redisClient.hGetAll(keyFor(uid));
+            return Object.entries(entries)
+                .map(([hash, addedAt]) => ({ hash, addedAt }))
+                .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+        },
+
+        async add(uid, hash) {
+            ensureReady();
+            const addedAt = new Date().toISOString();
+            const added = await redisClient.hSetNX(keyFor(uid), hash, addedAt);
+            return { hash, addedAt: added ? addedAt : await redisClient.hGet(keyFor(uid), hash) };
+        },
+
+        async remove(uid, hash) {
+            ensureReady();
+            return (await redisClient.hDel(keyFor(uid), hash)) > 0;
+        },
+
+        async referencedHashes() {
+            ensureReady();
+            const hashes = new Set();
+            for await (const keys of redisClient.scanIterator({ MATCH: keyFor('*'), COUNT: 100 })) {
+                for (const key of keys) {
+                    Object.keys(await redisClient.hGetAll(key)).forEach(hash => hashes.add(hash));
+                }
+            }
+            return hashes;
+        }
+    };
+}
+
+/**
+ * Creates a library store kept in process memory, for tests and local runs without Redis.
+ */
+export function createMemoryLibraryStore() {
+    const libraries = new Map();
+    const libraryOf = uid => {
+        if (!libraries.has(uid)) {
+            libraries.set(uid, new Map());
+        }
+        return libraries.get(uid);
+    };
+
+    return {
+        async list(uid) {
+            return [...libraryOf(uid)].map(([hash, addedAt]) => ({ hash, addedAt }))
+                .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+        },
+
+        async add(uid, hash) {
+            const library = libraryOf(uid);
+            if (!library.has(hash)) {
+                library.set(hash, new Date().toISOString());
+            }
+            return { hash, addedAt: library.get(hash) };
+        },
+
+        async remove(uid, hash) {
+            return libraryOf(uid).delete(hash);
+        },
+
+        async referencedHashes() {
+            return new Set([...libraries.values()].flatMap(library => [...library.keys()]));
+        }
+    };
+}
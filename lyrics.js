@@ -0,0 +1,209 @@
+// lyrics.js - Lyrics of tracks: parsing LRC, WebVTT/SRT and plain text into one shape
+//
+// Every lyrics document is stored next to its track as 'audio/<hash>.lyrics.json':
+//   { hash, source, language, synced, lines: [{ time, text }], updatedAt, updatedBy }
+// source is 'subtitles', 'description' or 'upload' (null if nothing was found), time is the
+// start of the line in seconds (null for lyrics that are not synced), updatedBy the uid of
+// the user who uploaded them.
+
+export const MAX_LRC_LENGTH = 64 * 1024;
+const MAX_LINES = 2000;
+
+// Subtitle formats we can read, as yt-dlp names their files
+export const SUBTITLE_FORMATS = ['lrc', 'vtt', 'srt'];
+
+/**
+ * Key of the lyrics of a track, next to its audio: 'audio/<hash>.lyrics.json'.
+ */
+export function lyricsKey(hash) {
+    return `audio/${hash}.lyrics.json`;
+}
+
+/**
+ * Whether a value is a language code as yt-dlp names subtitles: 'en', 'pt-BR', 'zh-Hans'.
+ */
+export function isLanguageCode(value) {
+    return typeof value === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(value);
+}
+
+const round = seconds => Math.round(seconds * 1000) / 1000;
+
+// Sorts timed lines by time, keeping the order of lines with the same time
+const byTime = lines => lines
+    .map((line, index) => ({ line, index }))
+    .sort((a, b) => a.line.time - b.line.time || a.index - b.index)
+    .map(({ line }) => line);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', '#39': '\'' };
+
+// Removes markup (WebVTT voice/class tags, karaoke timestamps) and decodes common entities
+function cleanCueText(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, (match, name) => ENTITIES[name])
+        .replace(/^[♪\s]+|[♪\s]+$/g, '')
+        .trim();
+}
+
+/**
+ * Parses LRC. Lines may carry several [mm:ss.xx] tags; [offset:±ms] is applied and other
+ * ID tags ([ar:], [ti:], ...) are skipped. Text without any time tag becomes plain lyrics.
+ * Returns { synced, lines }.
+ */
+export function parseLrc(text) {
+    const timed = [];
+    const plain = [];
+    let offsetSeconds = 0;
+    for (const rawLine of String(text).split(/\r\n|\r|\n/)) {
+        const offset = rawLine.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]\s*$/i);
+        if (offset) {
+            // A positive offset makes the lyrics come earlier
+            offsetSeconds = Number(offset[1]) / 1000;
+            continue;
+        }
+        if (/^\s*\[[a-z]+:[^\]]*\]\s*$/i.test(rawLine)) {
+            continue;
+        }
+        const times = [];
+        let rest = rawLine.trim();
+        let tag;
+        while ((tag = rest.match(/^\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/))) {
+            const fraction = tag[3] ? Number(`0.${tag[3]}`) : 0;
+            times.push(Number(tag[1]) * 60 + Number(tag[2]) + fraction);
+            rest = rest.slice(tag[0].length);
+        }
+        // Enhanced LRC puts <mm:ss.xx> before words; only whole lines are kept
+        const lineText = rest.replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+        if (times.length > 0) {
+            times.forEach(time => timed.push({ time, text: lineText }));
+        } else {
+            plain.push(rawLine);
+        }
+    }
+    if (timed.length === 0) {
+        return parsePlainLyrics(plain.join('\n'));
+    }
+    return {
+        synced: true,
+        lines: byTime(timed)
+            .map(line => ({ time: round(Math.max(0, line.time - offsetSeconds)), text: line.text }))
+            .slice(0, MAX_LINES)
+    };
+}
+
+/**
+ * Parses WebVTT or SRT subtitles into synced lines, one per line of cue text.
+ * Cues repeating the previous line (as rolling captions do) are dropped.
+ * Returns { synced, lines }.
+ */
+export function parseVtt(text) {
+    const lines = [];
+    const blocks = String(text).replace(/\r\n|\r/g, '\n').split(/\n{2,}/);
+    for (const block of blocks) {
+        const blockLines = block.split('\n');
+        const timingIndex = blockLines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) {
+            continue; // Header, NOTE, STYLE or REGION block
+        }
+        const start = blockLines[timingIndex].match(/(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})/);
+        if (!start) {
+            continue;
+        }
+        const time = Number(start[1] || 0) * 3600 + Number(start[2]) * 60 + Number(start[3]) + Number(start[4]) / 1000;
+        for (const cueLine of blockLines.slice(timingIndex + 1)) {
+            const cueText = cleanCueText(cueLine);
+            const previous = lines[lines.length - 1];
+            if (cueText && !(previous && previous.text === cueText)) {
+                lines.push({ time: round(time), text: cueText });
+            }
+        }
+    }
+    return { synced: lines.length > 0, lines: byTime(lines).slice(0, MAX_LINES) };
+}
+
+/**
+ * Parses plain lyrics: one line per line, with runs of blank lines kept as a single
+ * empty line (a verse break). Returns { synced: false, lines }.
+ */
+export function parsePlainLyrics(text) {
+    const lines = [];
+    for (const rawLine of String(text).split(/\r\n|\r|\n/)) {
+        const lineText = rawLine.trim();
+        if (lineText || (lines.length > 0 && lines[lines.length - 1].text)) {
+            lines.push({ time: null, text: lineText });
+        }
+    }
+    while (lines.length > 0 && !lines[lines.length - 1].text) {
+        lines.pop();
+    }
+    return { synced: false, lines: lines.slice(0, MAX_LINES) };
+}
+
+/**
+ * Parses a subtitle file by its format (one of SUBTITLE_FORMATS).
+ */
+export function parseSubtitles(text, format) {
+    return format === 'lrc' ? parseLrc(text) : parseVtt(text);
+}
+
+/**
+ * Takes lyrics out of a track description. Descriptions are mostly links and credits, so only
+ * the text after a line that announces lyrics ("Lyrics:", "[Lyrics]", ...) is used, without
+ * lines that hold links. Returns { synced, lines }, or null if the description has no lyrics.
+ */
+export function lyricsFromDescription(description) {
+    if (typeof description !== 'string') {
+        return null;
+    }
+    const descriptionLines = description.split(/\r\n|\r|\n/);
+    const start = descriptionLines.findIndex(line => /^\s*[[(]?\s*lyrics\s*[\])]?\s*:?\s*$/i.test(line));
+    if (start === -1) {
+        return null;
+    }
+    const lyricsText = descriptionLines
+        .slice(start + 1)
+        .filter(line => !/https?:\/\/|www\./i.test(line) && !/^\s*#\w/.test(line))
+        .join('\n');
+    const parsed = parsePlainLyrics(lyricsText);
+    return parsed.lines.filter(line => line.text).length >= 2 ? parsed : null;
+}
+
+/**
+ * Picks the subtitle file to take lyrics from, out of the files yt-dlp wrote as
+ * '<baseName>.<language>.<format>': the preferred language, then a regional variant of it
+ * (en-US for en), then any language. Returns { fileName, language, format } or null.
+ */
+export function pickSubtitleFile(fileNames, baseName, preferredLanguage) {
+    const candidates = fileNames
+        .filter(name => name.startsWith(`${baseName}.`))
+        .map(name => {
+            const parts = name.slice(baseName.length + 1).split('.');
+            return { fileName: name, language: parts.slice(0, -1).join('.'), format: parts[parts.length - 1] };
+        })
+        .filter(file => file.language && SUBTITLE_FORMATS.includes(file.format));
+    const preferred = String(preferredLanguage).toLowerCase();
+    return candidates.find(file => file.language.toLowerCase() === preferred)
+        || candidates.find(file => file.language.toLowerCase().startsWith(`${preferred}-`))
+        || candidates[0]
+        || null;
+}
+
+/**
+ * Builds the stored lyrics document of a track.
+ *
+ * @param {string} hash - Track hash
+ * @param {object|null} parsed - { synced, lines } from one of the parsers, or null if nothing was found
+ * @param {object} details - { source, language, updatedBy }
+ */
+export function buildLyrics(hash, parsed, { source, language = null, updatedBy = null }) {
+    const found = Boolean(parsed && parsed.lines.length > 0);
+    return {
+        hash,
+        source: found ? source : null,
+        language: found ? language : null,
+        synced: found && parsed.synced,
+        lines: found ? parsed.lines : [],
+        updatedAt: new Date().toISOString(),
+        updatedBy
+    };
+}
@@ -0,0 +1,83 @@
+// metrics.js - Prometheus metrics, served by GET /metrics
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time from receiving a request to finishing its response, by method and route',
+    labelNames: ['method', 'route'],
+    // Searches and ZIP downloads take seconds, metadata lookups milliseconds
+    buckets: [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [registry]
+});
+
+export const searchCacheLookups = new client.Counter({
+    name: 'search_cache_lookups_total',
+    help: 'Search cache lookups by result (hit or miss); the hit ratio is hit / (hit + miss)',
+    labelNames: ['result'],
+    registers: [registry]
+});
+
+export const downloadedBytes = new client.Counter({
+    name: 'download_bytes_total',
+    help: 'Bytes of processed audio stored after downloads',
+    registers: [registry]
+});
+
+export const downloadJobs = new client.Counter({
+    name: 'download_jobs_total',
+    help: 'Finished download jobs by state (done or failed)',
+    labelNames: ['state'],
+    registers: [registry]
+});
+
+export const ytdlpFailures = new client.Counter({
+    name: 'ytdlp_failures_total',
+    help: 'Failed yt-dlp runs by error code (see ytdlp-errors.js)',
+    labelNames: ['code'],
+    registers: [registry]
+});
+
+/**
+ * Adds a gauge whose value is read when the metrics are scraped.
+ * Registering a name again replaces the earlier gauge (every app created by createApp registers its own).
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {Function} read - () => current value
+ */
+export function registerGauge(name, help, read) {
+    registry.removeSingleMetric(name);
+    return new client.Gauge({
+        name,
+        help,
+        registers: [registry],
+        collect() {
+            this.set(read());
+        }
+    });
+}
+
+/**
+ * Middleware that counts and times every request.
+ * Requests are labelled with the route pattern (e.g. '/tracks/:hash') rather than the
+ * path, so track hashes and job ids do not each become a time series.
+ */
+export function metricsMiddleware(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        endTimer({ method: req.method, route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+}
@@ -0,0 +1,182 @@
+// playlist-store.js - Storage of user playlists
+//
+// A playlist is a plain object:
+//   { id, ownerUid, name, visibility ('private' | 'unlisted' | 'public'), shareToken,
+//     tracks: [{ id, hash, sourceUrl, addedAt }], version, createdAt, updatedAt }
+// Tracks reference processed audio by the md5 hash of the source URL, so the same track can
+// sit in many playlists while its audio is stored once.
+//
+// Every store implements (all methods async):
+//   get(id)              - the playlist, or null
+//   listByOwner(uid)     - the user's playlists, most recently updated first
+//   save(playlist)       - creates or replaces the playlist and resolves with it, one version up;
+//                          rejects with a PlaylistConflictError if the stored playlist is no longer
+//                          at playlist.version (changed since it was read; 0 for a new playlist)
+//   delete(playlist)     - removes the playlist
+//   referencedHashes()   - Set of every track hash in any playlist
+import crypto from 'crypto';
+
+export const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+export const MAX_PLAYLIST_NAME_LENGTH = 100;
+export const MAX_PLAYLIST_TRACKS = 1000;
+
+/**
+ * Random id for a playlist or a playlist entry.
+ */
+export function newPlaylistId() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Random token that grants read access to an unlisted playlist.
+ */
+export function newShareToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+/**
+ * Tells whether a user (or an anonymous caller, with uid undefined) may read a playlist.
+ * Unlisted playlists are readable with their share token.
+ */
+export function canViewPlaylist(playlist, uid, shareToken) {
+    return playlist.ownerUid === uid
+        || playlist.visibility === 'public'
+        || (playlist.visibility === 'unlisted' && Boolean(shareToken) && shareToken === playlist.shareToken);
+}
+
+/**
+ * Thrown by save() when the playlist was changed by someone else since it was read.
+ */
+export class PlaylistConflictError extends Error {
+    constructor(id) {
+        super(`Playlist ${id} was changed by another request.`);
+        this.name = 'PlaylistConflictError';
+    }
+}
+
+const byUpdatedDesc = (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+
+// Playlists stored before versions were introduced count as version 0
+const versionOf = playlist => (playlist && playlist.version) || 0;
+
+// Writes the playlist (ARGV[2]) and adds it to its owner's set only if the stored one is still at
+// version ARGV[1] (0 if there is none). Returns 1 if it was written, 0 on a conflict.
+const SAVE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = 0
+if current then
+    version = tonumber(cjson.decode(current).version) or 0
+end
+if version ~= tonumber(ARGV[1]) then
+    return 0
+end
+redis.call('SET', KEYS[1], ARGV[2])
+redis.call('SADD', KEYS[2], ARGV[3])
+return 1
+`;
+
+/**
+ * Creates a playlist store in Redis: 'playlist:<id>' holds the playlist as JSON and
+ * 'playlists:<uid>' the set of a user's playlist ids.
+ * Fails while Redis is not connected rather than silently losing playlists.
+ */
+export function createRedisPlaylistStore(redisClient) {
+    const ensureReady = () => {
+        if (!redisClient || !redisClient.isReady) {
+            throw new Error('Redis is not connected.');
+        }
+    };
+
+    return {
+        async get(id) {
+            ensureReady();
+            const json = await redisClient.get(`playlist:${id}`);
+            return json ? JSON.parse(json) : null;
+        },
+
+        async listByOwner(uid) {
+            ensureReady();
+            const ids = await redisClient.sMembers(`playlists:${uid}`);
+            if (ids.length === 0) {
+                return [];
+            }
+            const values = await redisClient.mGet(ids.map(id => `playlist:${id}`));
+            return values.filter(Boolean).map(json => JSON.parse(json)).sort(byUpdatedDesc);
+        },
+
+        async save(playlist) {
+            ensureReady();
+            const saved = { ...playlist, version: versionOf(playlist) + 1 };
+            const written = await redisClient.eval(SAVE_SCRIPT, {
+                keys: [`playlist:${playlist.id}`, `playlists:${playlist.ownerUid}`],
+                arguments: [String(versionOf(playlist)), JSON.stringify(saved), playlist.id]
+            });
+            if (written !== 1) {
+                throw new PlaylistConflictError(playlist.id);
+            }
+            return saved;
+        },
+
+        async delete(playlist) {
+            ensureReady();
+            await redisClient.multi()
+                .del(`playlist:${playlist.id}`)
+                .sRem(`playlists:${playlist.ownerUid}`, playlist.id)
+                .exec();
+        },
+
+        async referencedHashes() {
+            ensureReady();
+            const hashes = new Set();
+            for await (const keys of redisClient.scanIterator({ MATCH: 'playlist:*', COUNT: 100 })) {
+                if (keys.length === 0) {
+                    continue;
+                }
+                const values = await redisClient.mGet(keys);
+                values.filter(Boolean).forEach(json => {
+                    JSON.parse(json).tracks.forEach(entry => hashes.add(entry.hash));
+                });
+            }
+            return hashes;
+        }
+    };
+}
+
+/**
+ * Creates a playlist store kept in process memory, for tests and local runs without Redis.
+ */
+export function createMemoryPlaylistStore() {
+    const playlists = new Map();
+    // Stored as JSON so callers never share objects with the store, as with Redis
+    return {
+        async get(id) {
+            return playlists.has(id) ? JSON.parse(playlists.get(id)) : null;
+        },
+
+        async listByOwner(uid) {
+            return [...playlists.values()]
+                .map(json => JSON.parse(json))
+                .filter(playlist => playlist.ownerUid === uid)
+                .sort(byUpdatedDesc);
+        },
+
+        async save(playlist) {
+            const stored = playlists.has(playlist.id) ? JSON.parse(playlists.get(playlist.id)) : null;
+            if (versionOf(stored) !== versionOf(playlist)) {
+                throw new PlaylistConflictError(playlist.id);
+            }
+            const saved = { ...playlist, version: versionOf(playlist) + 1 };
+            playlists.set(playlist.id, JSON.stringify(saved));
+            return saved;
+        },
+
+        async delete(playlist) {
+            playlists.delete(playlist.id);
+        },
+
+        async referencedHashes() {
+            return new Set([...playlists.values()].flatMap(json => JSON.parse(json).tracks.map(entry => entry.hash)));
+        }
+    };
+}
@@ -0,0 +1,123 @@
+// process-runner.js - Runs the external tools (yt-dlp, ffmpeg, ffprobe) with a time limit
+// Tools are always spawned with an argument array, never through a shell, so arguments
+// taken from user input cannot run other commands.
+import { spawn } from 'child_process';
+
+const KILL_GRACE_MS = 5000;
+// Characters of stdout kept when it is consumed line by line (onLine)
+export const STDOUT_TAIL_LENGTH = 64 * 1024;
+
+/**
+ * Runs a command. Resolves with { stdout, stderr } when it exits with code 0, rejects with an
+ * error carrying stdout, stderr, timedOut and outputLimitExceeded otherwise. If the command is
+ * not installed, the error says so and has code 'ENOENT'.
+ *
+ * @param {string} command
+ * @param {string[]} args - Arguments, passed to the command as-is
+ * @param {object} options
+ * @param {number} options.timeoutMs - The process is killed if it runs longer than this
+ *   (the error then has timedOut set)
+ * @param {number} [options.maxOutputBytes] - The process is killed if the output kept in memory
+ *   (stdout and stderr together) grows beyond this (the error then has outputLimitExceeded set)
+ * @param {Function} [options.onLine] - Called with every non-empty stdout line as it is printed;
+ *   stdout is then consumed line by line, and only its last STDOUT_TAIL_LENGTH characters are
+ *   kept (and resolved with), so long runs printing progress lines are not cut short
+ * @param {Function} [options.onStdout] - Called with every stdout chunk (a Buffer) instead of
+ *   collecting stdout, for binary output
+ * @param {number} [options.stderrTailBytes] - Keep only this much of the end of stderr, for tools
+ *   that print their reports last
+ */
+export function runProcess(command, args, { timeoutMs, maxOutputBytes = Infinity, onLine, onStdout, stderrTailBytes }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        let partialLine = '';
+        let timedOut = false;
+        let outputLimitExceeded = false;
+        let settled = false;
+
+        const kill = () => {
+            child.kill('SIGTERM');
+            // yt-dlp may be waiting on ffmpeg; make sure it really goes away
+            setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS).unref();
+        };
+        const timer = setTimeout(() => {
+            timedOut = true;
+            kill();
+        }, timeoutMs);
+
+        // Only what is kept in memory counts towards the cap
+        const checkOutputLimit = () => {
+            if (!outputLimitExceeded && stdout.length + partialLine.length + stderr.length > maxOutputBytes) {
+                outputLimitExceeded = true;
+                kill();
+            }
+        };
+
+        child.stdout.on('data', chunk => {
+            if (outputLimitExceeded) {
+                return;
+            }
+            if (onStdout) {
+                onStdout(chunk);
+                return;
+            }
+            const text = chunk.toString();
+            if (onLine) {
+                const lines = (partialLine + text).split(/\r\n|\r|\n/);
+                partialLine = lines.pop();
+                lines.filter(line => line.trim() !== '').forEach(onLine);
+                stdout = (stdout + text).slice(-STDOUT_TAIL_LENGTH);
+            } else {
+                stdout += text;
+            }
+            checkOutputLimit();
+        });
+        child.stderr.on('data', chunk => {
+            if (outputLimitExceeded) {
+                return;
+            }
+            stderr += chunk.toString();
+            if (stderrTailBytes !== undefined) {
+                stderr = stderr.slice(-stderrTailBytes);
+            }
+            checkOutputLimit();
+        });
+
+        const fail = error => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            error.stdout = stdout;
+            error.stderr = stderr;
+            error.timedOut = timedOut;
+            error.outputLimitExceeded = outputLimitExceeded;
+            reject(error);
+        };
+
+        child.on('error', error => {
+            fail(error.code === 'ENOENT' ? Object.assign(new Error(`${command} is not installed`), { code: 'ENOENT' }) : error);
+        });
+        child.on('close', (code, signal) => {
+            if (onLine && partialLine.trim() !== '') {
+                onLine(partialLine);
+            }
+            if (timedOut) {
+                return fail(new Error(`${command} timed out after ${timeoutMs} ms and was killed`));
+            }
+            if (outputLimitExceeded) {
+                return fail(new Error(`${command} output exceeded ${maxOutputBytes} bytes and was killed`));
+            }
+            if (code !== 0) {
+                const lastLine = stderr.trim().split('\n').pop() || '';
+                return fail(new Error(`${command} exited with ${signal ? `signal ${signal}` : `code ${code}`}${lastLine ? `: ${lastLine}` : ''}`));
+            }
+            settled = true;
+            clearTimeout(timer);
+            resolve({ stdout, stderr });
+        });
+    });
+}
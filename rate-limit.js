@@ -0,0 +1,126 @@
+// rate-limit.js - Token-bucket rate limiting for routes that start yt-dlp processes
+//
+// Every client gets a bucket per route that holds up to `limit` tokens and refills at
+// `limit` tokens per `windowSeconds`; each request takes one token (or its cost). Buckets live in Redis so
+// limits hold across instances, with an in-process fallback while Redis is down.
+import NodeCache from 'node-cache';
+
+const KEY_PREFIX = 'ratelimit:';
+
+// Refills and takes `cost` tokens atomically. Uses the Redis clock so every instance agrees on time.
+// Returns { allowed (0/1), tokens left (as a string, Lua would truncate a number) }.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Parses a limit setting such as "30/60" (30 requests per 60 seconds).
+ * "off" or "0" disables the limit (returns null); an empty value gives the fallback.
+ */
+export function parseRateLimit(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (value === 'off' || value === '0') {
+        return null;
+    }
+    const match = /^(\d+)\s*\/\s*(\d+)$/.exec(value.trim());
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        throw new Error(`Invalid rate limit "${value}": expected "<requests>/<seconds>" or "off".`);
+    }
+    return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+// The in-process variant of TAKE_TOKEN_SCRIPT
+function takeLocalToken(bucket, capacity, refillPerMs, cost, now) {
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerMs);
+    bucket.updatedAt = now;
+    const allowed = bucket.tokens >= cost;
+    if (allowed) {
+        bucket.tokens -= cost;
+    }
+    return { allowed, tokens: bucket.tokens };
+}
+
+/**
+ * Creates rate-limiting middleware for one route.
+ * Signed-in users (req.user, so put it after requireAuth/optionalAuth) are limited per uid,
+ * everyone else per client IP. Every response gets RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers; rejected requests get 429 and Retry-After.
+ *
+ * @param {object} options
+ * @param {object} options.redisClient - node-redis client (may be null)
+ * @param {string} options.name - Name of the limited route, part of the Redis key
+ * @param {object|null} options.rate - { limit, windowSeconds } (see parseRateLimit); null disables limiting
+ * @param {Function} [options.cost] - req => tokens the request takes (1 by default), for requests
+ *   that start several yt-dlp processes; capped at the limit so a request can always get through
+ */
+export function createRateLimiter({ redisClient, name, rate, cost: costOf = () => 1 }) {
+    if (!rate) {
+        return (req, res, next) => next();
+    }
+    const { limit, windowSeconds } = rate;
+    const refillPerMs = limit / (windowSeconds * 1000);
+    const localBuckets = new NodeCache({ stdTTL: windowSeconds, checkperiod: Math.max(60, windowSeconds) });
+    const redisAvailable = () => Boolean(redisClient && redisClient.isReady);
+
+    async function takeTokens(clientKey, cost) {
+        const key = `${KEY_PREFIX}${name}:${clientKey}`;
+        if (redisAvailable()) {
+            try {
+                const [allowed, tokens] = await redisClient.eval(TAKE_TOKEN_SCRIPT, {
+                    keys: [key],
+                    arguments: [String(limit), String(refillPerMs), String(cost)]
+                });
+                return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+            } catch (error) {
+                console.warn(`Redis rate limit check failed, using local buckets: ${error.message}`);
+            }
+        }
+        const bucket = localBuckets.get(key) || { tokens: limit, updatedAt: Date.now() };
+        const result = takeLocalToken(bucket, limit, refillPerMs, cost, Date.now());
+        // The bucket is full again (and can be forgotten) after at most one window
+        localBuckets.set(key, bucket);
+        return result;
+    }
+
+    return async function rateLimit(req, res, next) {
+        const clientKey = req.user ? `user:${req.user.uid}` : `ip:${req.ip}`;
+        const cost = Math.min(limit, costOf(req));
+        const { allowed, tokens } = await takeTokens(clientKey, cost);
+        const remaining = Math.floor(tokens);
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(Math.ceil((limit - tokens) / refillPerMs / 1000)),
+            'RateLimit-Policy': `${limit};w=${windowSeconds}`
+        });
+        if (allowed) {
+            return next();
+        }
+        const retryAfterSeconds = Math.max(1, Math.ceil((cost - tokens) / refillPerMs / 1000));
+        console.warn(`Rate limit for ${name} exceeded by ${clientKey}`);
+        res.set('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({
+            success: false,
+            message: `Too many requests. Please try again in ${retryAfterSeconds} seconds.`
+        });
+    };
+}
@@ -0,0 +1,87 @@
+// search-cache.js - Caching of /search results in Redis with an in-process fallback
+import NodeCache from 'node-cache';
+
+const KEY_PREFIX = 'search:';
+
+/**
+ * Normalizes a search query so that trivially different spellings of the
+ * same search ("Daft Punk", "  daft   punk ") share one cache entry.
+ */
+export function normalizeSearchQuery(query) {
+    return String(query).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Glob characters are escaped so a query can be used in a SCAN pattern
+const escapeGlob = text => text.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Creates a search cache.
+ * Entries are stored in Redis when the given client is connected, and in a
+ * local node-cache instance otherwise, so /search keeps working (per process)
+ * while Redis is down.
+ * Entries of one query are kept apart by a scope (e.g. provider and page) that contains no ':';
+ * their keys are 'search:<scope>:<normalized query>'.
+ *
+ * @param {object} options
+ * @param {object} options.redisClient - node-redis client (may be null)
+ * @param {number} options.ttlSeconds - How long a cached result stays valid
+ */
+export function createSearchCache({ redisClient, ttlSeconds }) {
+    const localCache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: Math.max(60, Math.ceil(ttlSeconds / 2)) });
+
+    // Commands sent to a client that is not ready are queued until it reconnects,
+    // which would stall the request, so only use Redis while it is ready.
+    const redisAvailable = () => Boolean(redisClient && redisClient.isReady);
+
+    const keyFor = (query, scope) => `${KEY_PREFIX}${scope}:${normalizeSearchQuery(query)}`;
+    // The query part of a key; scopes contain no ':', so it starts after the second one
+    const queryOfKey = key => key.slice(key.indexOf(':', KEY_PREFIX.length) + 1);
+
+    async function get(query, scope) {
+        const key = keyFor(query, scope);
+        if (redisAvailable()) {
+            try {
+                const cached = await redisClient.get(key);
+                return cached ? JSON.parse(cached) : null;
+            } catch (error) {
+                console.warn(`Redis search cache read failed, using local cache: ${error.message}`);
+            }
+        }
+        return localCache.get(key) ?? null;
+    }
+
+    async function set(query, scope, results) {
+        const key = keyFor(query, scope);
+        if (redisAvailable()) {
+            try {
+                await redisClient.set(key, JSON.stringify(results), { EX: ttlSeconds });
+                return;
+            } catch (error) {
+                console.warn(`Redis search cache write failed, using local cache: ${error.message}`);
+            }
+        }
+        localCache.set(key, results);
+    }
+
+    /**
+     * Removes the entries (of every scope) for one query, or every search entry when no query is given.
+     * Returns the number of entries removed.
+     */
+    async function evict(query) {
+        const normalized = query !== undefined ? normalizeSearchQuery(query) : null;
+        const matches = key => key.startsWith(KEY_PREFIX) && (normalized === null || queryOfKey(key) === normalized);
+        let removed = localCache.del(localCache.keys().filter(matches));
+        if (redisAvailable()) {
+            const pattern = normalized === null ? `${KEY_PREFIX}*` : `${KEY_PREFIX}*:${escapeGlob(normalized)}`;
+            for await (const keys of redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+                const matching = keys.filter(matches);
+                if (matching.length > 0) {
+                    removed += await redisClient.del(matching);
+                }
+            }
+        }
+        return removed;
+    }
+
+    return { get, set, evict, ttlSeconds };
+}
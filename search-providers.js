@@ -0,0 +1,140 @@
+// search-providers.js - Registry of the sites we search and take albums/playlists from
+// Provider hosts must also be listed in SUPPORTED_HOSTS (ytdlp-runner.js) to be accepted at all.
+
+export const DEFAULT_SEARCH_SOURCE = 'soundcloud';
+export const DEFAULT_SEARCH_LIMIT = 30;
+export const MAX_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_OFFSET = 200;
+
+const PLACEHOLDER_THUMBNAIL = 'https://placehold.co/60x60/333/FFF?text=🎧';
+
+/**
+ * Every source site.
+ * searchPrefix is the yt-dlp search extractor (null if the site cannot be searched through
+ * yt-dlp); isCollectionUrl tells whether a parsed URL on the site is an album or playlist.
+ */
+export const PROVIDERS = {
+    soundcloud: {
+        name: 'soundcloud',
+        label: 'SoundCloud',
+        hosts: ['soundcloud.com'],
+        searchPrefix: 'scsearch',
+        isCollectionUrl: url => url.pathname.includes('/sets/')
+    },
+    youtube: {
+        name: 'youtube',
+        label: 'YouTube',
+        hosts: ['youtube.com', 'youtu.be'],
+        searchPrefix: 'ytsearch',
+        isCollectionUrl: url => url.searchParams.has('list')
+    },
+    bandcamp: {
+        name: 'bandcamp',
+        label: 'Bandcamp',
+        hosts: ['bandcamp.com'],
+        searchPrefix: null,
+        isCollectionUrl: url => url.pathname.startsWith('/album/')
+    }
+};
+
+/**
+ * Names accepted as /search 'source': every searchable provider, and 'all'.
+ */
+export const SEARCH_SOURCES = [
+    ...Object.values(PROVIDERS).filter(provider => provider.searchPrefix).map(provider => provider.name),
+    'all'
+];
+
+/**
+ * The providers a search with the given source runs against.
+ */
+export function searchProvidersFor(source) {
+    if (source === 'all') {
+        return Object.values(PROVIDERS).filter(provider => provider.searchPrefix);
+    }
+    return [PROVIDERS[source]];
+}
+
+/**
+ * Finds the provider a URL belongs to, or null.
+ */
+export function providerForUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const hostname = parsed.hostname.toLowerCase();
+    return Object.values(PROVIDERS).find(provider => (
+        provider.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    )) || null;
+}
+
+/**
+ * Tells whether a URL is an album or playlist on one of the providers.
+ * Callers still check the URL with isSupportedSourceUrl.
+ */
+export function isCollectionUrl(url) {
+    const provider = providerForUrl(url);
+    return Boolean(provider && provider.isCollectionUrl(new URL(url)));
+}
+
+/**
+ * yt-dlp arguments that select one page of search results: the search target asks for
+ * every result up to the end of the page, --playlist-items skips the ones before it.
+ */
+export function searchPageArgs(provider, query, { offset, limit }) {
+    return ['--playlist-items', `${offset + 1}:${offset + limit}`, `${provider.searchPrefix}${offset + limit}:${query}`];
+}
+
+/**
+ * Maps one yt-dlp JSON line of search output to a search result.
+ */
+export function toSearchResult(data, provider) {
+    return {
+        id: data.id,
+        title: data.title,
+        url: data.webpage_url || data.url,
+        artist: data.artist || data.uploader || data.channel || 'Unknown',
+        album: data.album || data.playlist || '',
+        thumbnail: (data.thumbnail && data.thumbnail.trim()) ? data.thumbnail : (data.thumbnails && data.thumbnails.length > 0 ? data.thumbnails[data.thumbnails.length - 1].url : PLACEHOLDER_THUMBNAIL),
+        provider: provider.name
+    };
+}
+
+// Two results are the same track if they share a URL, or an artist and title spelled alike
+function duplicateKeys(result) {
+    const simplify = text => String(text || '').toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const keys = [`url:${result.url}`];
+    const title = simplify(result.title);
+    if (title) {
+        keys.push(`track:${simplify(result.artist)}|${title}`);
+    }
+    return keys;
+}
+
+/**
+ * Merges the result lists of several providers: interleaved (first of each provider, then
+ * second of each, ...) so no provider is pushed to the end, keeping only the first of duplicates.
+ */
+export function mergeSearchResults(resultLists) {
+    const seen = new Set();
+    const merged = [];
+    const longest = Math.max(0, ...resultLists.map(results => results.length));
+    for (let index = 0; index < longest; index++) {
+        for (const results of resultLists) {
+            const result = results[index];
+            if (!result) {
+                continue;
+            }
+            const keys = duplicateKeys(result);
+            if (keys.some(key => seen.has(key))) {
+                continue;
+            }
+            keys.forEach(key => seen.add(key));
+            merged.push(result);
+        }
+    }
+    return merged;
+}
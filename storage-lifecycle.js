@@ -0,0 +1,225 @@
+// storage-lifecycle.js - Usage accounting, quota enforcement and temp cleanup for stored audio
+//
+// Stored files are grouped by track: 'audio/<hash>.mp3', 'audio/<hash>.320k.opus', the
+// metadata 'audio/<hash>.json', waveform and lyrics all belong to 'audio/<hash>', and an album
+// ZIP 'albums/<hash>.mp3.zip' to 'albums/<hash>'. A group is used and evicted as a whole.
+// Tracks still in a user's library or in a playlist are never evicted, so those never point
+// at a track whose audio and metadata are gone.
+import fs from 'fs';
+import path from 'path';
+
+const ACCESS_KEY = 'storage:access';
+const STORED_PREFIXES = ['audio/', 'albums/'];
+
+/**
+ * The group a storage key belongs to: its directory and the part of the file name before the first dot.
+ */
+export function storageGroupOf(key) {
+    const slash = key.lastIndexOf('/');
+    const fileName = key.slice(slash + 1);
+    return key.slice(0, slash + 1) + fileName.split('.')[0];
+}
+
+/**
+ * Creates the record of when each stored group was last used (streamed, downloaded or
+ * served from storage). Kept in a Redis sorted set when the given client is connected,
+ * and in process memory otherwise.
+ *
+ * @param {object} options
+ * @param {object} options.redisClient - node-redis client (may be null)
+ */
+export function createAccessTracker({ redisClient }) {
+    const localAccess = new Map();
+    const redisAvailable = () => Boolean(redisClient && redisClient.isReady);
+
+    /**
+     * Notes that a group was used just now. Never fails: a lost access time only makes
+     * the group look older.
+     */
+    async function record(group) {
+        const now = Date.now();
+        localAccess.set(group, now);
+        if (redisAvailable()) {
+            try {
+                await redisClient.zAdd(ACCESS_KEY, { score: now, value: group });
+            } catch (error) {
+                console.warn(`Failed to record access to ${group}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Resolves with a Map of group -> last access time (ms) for every group with a recorded access.
+     */
+    async function all() {
+        if (redisAvailable()) {
+            try {
+                const entries = await redisClient.zRangeWithScores(ACCESS_KEY, 0, -1);
+                return new Map(entries.map(({ value, score }) => [value, score]));
+            } catch (error) {
+                console.warn(`Failed to read access times from Redis, using local ones: ${error.message}`);
+            }
+        }
+        return new Map(localAccess);
+    }
+
+    async function forget(groups) {
+        groups.forEach(group => localAccess.delete(group));
+        if (redisAvailable() && groups.length > 0) {
+            await redisClient.zRem(ACCESS_KEY, groups);
+        }
+    }
+
+    return { record, all, forget };
+}
+
+/**
+ * Creates the storage maintenance subsystem.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Storage backend (see storage/index.js)
+ * @param {object} options.accessTracker - From createAccessTracker
+ * @param {string} options.tempDir - Directory yt-dlp downloads into (audio_temp); only the files
+ *   directly in it are swept, subdirectories (such as the local storage backend's) are left alone
+ * @param {number|null} options.quotaBytes - Total size stored files may take up; null for no quota
+ * @param {number} options.minIdleMs - Groups used more recently than this are never evicted
+ * @param {number} options.tempMaxAgeMs - Temp files older than this are leftovers of crashed downloads
+ * @param {Function} [options.referencedGroups] - Resolves with the Set of group ids that are still
+ *   referenced (by libraries and playlists) and must not be evicted. If it fails, nothing is evicted.
+ */
+export function createStorageMaintenance({
+    storage, accessTracker, tempDir, quotaBytes, minIdleMs, tempMaxAgeMs, referencedGroups = async () => new Set()
+}) {
+    /**
+     * Collects every stored group with its files, total size and last use
+     * (the last recorded access, or when its newest file was written).
+     * Resolves with { totalBytes, fileCount, groups } with the groups least recently used first.
+     */
+    async function usage() {
+        const files = (await Promise.all(STORED_PREFIXES.map(prefix => storage.list(prefix)))).flat();
+        const accessTimes = await accessTracker.all();
+        const groups = new Map();
+        for (const file of files) {
+            const id = storageGroupOf(file.key);
+            if (!groups.has(id)) {
+                groups.set(id, { id, keys: [], bytes: 0, lastUsed: 0 });
+            }
+            const group = groups.get(id);
+            group.keys.push(file.key);
+            group.bytes += file.size;
+            group.lastUsed = Math.max(group.lastUsed, new Date(file.lastModified).getTime() || 0);
+        }
+        for (const group of groups.values()) {
+            group.lastUsed = Math.max(group.lastUsed, accessTimes.get(group.id) || 0);
+        }
+        const sorted = [...groups.values()].sort((a, b) => a.lastUsed - b.lastUsed);
+        return {
+            totalBytes: sorted.reduce((sum, group) => sum + group.bytes, 0),
+            fileCount: files.length,
+            groups: sorted
+        };
+    }
+
+    /**
+     * Evicts the least recently used groups until the stored files fit in the quota, skipping
+     * the referenced ones. With dryRun nothing is deleted; the result lists what would be.
+     * Resolves with { quotaBytes, totalBytes, evicted: [{ id, bytes, lastUsed }], freedBytes,
+     * keptReferenced, overQuota } where keptReferenced counts the groups skipped as referenced.
+     */
+    async function enforceQuota({ dryRun = false } = {}) {
+        const { totalBytes, groups } = await usage();
+        const evicted = [];
+        let keptReferenced = 0;
+        let remainingBytes = totalBytes;
+        if (quotaBytes !== null && totalBytes > quotaBytes) {
+            const referenced = await referencedGroups();
+            const idleBefore = Date.now() - minIdleMs;
+            for (const group of groups) {
+                if (remainingBytes <= quotaBytes) {
+                    break;
+                }
+                // Sorted by last use, so every later group is in use as well
+                if (group.lastUsed > idleBefore) {
+                    break;
+                }
+                if (referenced.has(group.id)) {
+                    keptReferenced++;
+                    continue;
+                }
+                if (!dryRun) {
+                    try {
+                        await Promise.all(group.keys.map(key => storage.delete(key)));
+                    } catch (error) {
+                        console.error(`Failed to evict ${group.id}: ${error.message}`);
+                        continue;
+                    }
+                }
+                remainingBytes -= group.bytes;
+                evicted.push({ id: group.id, bytes: group.bytes, lastUsed: new Date(group.lastUsed).toISOString() });
+            }
+            if (!dryRun && evicted.length > 0) {
+                await accessTracker.forget(evicted.map(group => group.id)).catch(error => {
+                    console.warn(`Failed to forget access times of evicted groups: ${error.message}`);
+                });
+                console.log(`Evicted ${evicted.length} stored group(s), freeing ${totalBytes - remainingBytes} bytes.`);
+            }
+        }
+        return {
+            quotaBytes,
+            totalBytes,
+            evicted,
+            freedBytes: totalBytes - remainingBytes,
+            keptReferenced,
+            overQuota: quotaBytes !== null && remainingBytes > quotaBytes
+        };
+    }
+
+    /**
+     * Removes files in the temp directory that are older than tempMaxAgeMs: the leftovers of
+     * downloads that crashed before cleaning up. With dryRun they are only listed.
+     * Resolves with { removed: [{ name, bytes }], freedBytes }.
+     */
+    async function sweepTemp({ dryRun = false } = {}) {
+        const removed = [];
+        let entries;
+        try {
+            entries = await fs.promises.readdir(tempDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { removed, freedBytes: 0 };
+            }
+            throw error;
+        }
+        const staleBefore = Date.now() - tempMaxAgeMs;
+        for (const entry of entries.filter(entry => entry.isFile())) {
+            const filePath = path.join(tempDir, entry.name);
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (stats.mtimeMs > staleBefore) {
+                    continue;
+                }
+                if (!dryRun) {
+                    await fs.promises.rm(filePath, { force: true });
+                }
+                removed.push({ name: entry.name, bytes: stats.size });
+            } catch (error) {
+                console.warn(`Failed to sweep temp file ${filePath}: ${error.message}`);
+            }
+        }
+        if (!dryRun && removed.length > 0) {
+            console.log(`Swept ${removed.length} stale file(s) from ${tempDir}.`);
+        }
+        return { removed, freedBytes: removed.reduce((sum, file) => sum + file.bytes, 0) };
+    }
+
+    /**
+     * Runs a full cleanup: the temp sweep, then quota enforcement.
+     */
+    async function run({ dryRun = false } = {}) {
+        const temp = await sweepTemp({ dryRun });
+        const quota = await enforceQuota({ dryRun });
+        return { dryRun, temp, quota };
+    }
+
+    return { usage, enforceQuota, sweepTemp, run };
+}
@@ -0,0 +1,87 @@
+// storage/firebase-storage.js - Storage backend for a Firebase Storage bucket
+
+/**
+ * Creates a storage backend that keeps files in a Firebase Storage bucket.
+ * Files stay private; getUrl hands out signed URLs that expire after signedUrlTtlMs.
+ * Clients are meant to play tracks through /stream/:hash, which reads from the bucket.
+ *
+ * @param {object} options
+ * @param {object} options.bucket - Bucket from admin.storage().bucket()
+ * @param {number} options.signedUrlTtlMs - How long a URL from getUrl stays valid
+ */
+export function createFirebaseStorage({ bucket, signedUrlTtlMs }) {
+    return {
+        name: 'firebase',
+
+        async exists(key) {
+            const [exists] = await bucket.file(key).exists();
+            return exists;
+        },
+
+        async upload(localPath, key, { contentType }) {
+            await bucket.upload(localPath, {
+                destination: key,
+                metadata: {
+                    contentType, // Set correct content type
+                },
+            });
+        },
+
+        async write(key, data, { contentType }) {
+            await bucket.file(key).save(data, { contentType, resumable: false });
+        },
+
+        async read(key) {
+            try {
+                const [contents] = await bucket.file(key).download();
+                return contents;
+            } catch (error) {
+                if (error.code === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const [metadata] = await bucket.file(key).getMetadata();
+                return {
+                    size: Number(metadata.size),
+                    etag: metadata.etag ? `"${metadata.etag.replace(/"/g, '')}"` : null,
+                    lastModified: new Date(metadata.updated)
+                };
+            } catch (error) {
+                if (error.code === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async openReadStream(key, range = {}) {
+            return bucket.file(key).createReadStream(range);
+        },
+
+        async getUrl(key) {
+            const [signedUrl] = await bucket.file(key).getSignedUrl({
+                action: 'read',
+                expires: Date.now() + signedUrlTtlMs,
+            });
+            return signedUrl;
+        },
+
+        async delete(key) {
+            await bucket.file(key).delete({ ignoreNotFound: true });
+        },
+
+        async list(prefix) {
+            const [files] = await bucket.getFiles({ prefix });
+            return files.map(file => ({
+                key: file.name,
+                size: Number(file.metadata.size),
+                lastModified: new Date(file.metadata.updated)
+            }));
+        }
+    };
+}
@@ -0,0 +1,40 @@
+// storage/index.js - Picks the storage backend processed audio is kept in
+//
+// Every backend implements the same interface (all methods async):
+//   exists(key)                            - whether a file is stored under the key
+//   upload(localPath, key, { contentType }) - stores a local file under the key
+//   write(key, data, { contentType })      - stores a Buffer or string under the key
+//   read(key)                              - contents of the file as a Buffer, null if it is missing
+//   stat(key)                              - { size, etag, lastModified } of the file, null if it is missing
+//                                            (etag may be null if the backend has none)
+//   openReadStream(key, { start, end })    - readable stream of the file, or of the inclusive byte range
+//   getUrl(key)                            - URL a client can fetch the file from, null if the
+//                                            backend has none (local: files are served by /stream)
+//   delete(key)                            - removes the file (no error if it is missing)
+//   list(prefix)                           - [{ key, size, lastModified }] of every file whose key
+//                                            starts with the prefix
+// Keys are relative paths such as 'audio/<md5>.mp3'.
+import { createFirebaseStorage } from './firebase-storage.js';
+import { createLocalStorage } from './local-storage.js';
+import { createS3Storage } from './s3-storage.js';
+
+export const STORAGE_BACKENDS = ['firebase', 'local', 's3'];
+
+/**
+ * Creates the storage backend with the given name.
+ *
+ * @param {string} backend - One of STORAGE_BACKENDS
+ * @param {object} options - Options for that backend: { firebase, local, s3 }
+ */
+export function createStorage(backend, options) {
+    switch (backend) {
+        case 'firebase':
+            return createFirebaseStorage(options.firebase);
+        case 'local':
+            return createLocalStorage(options.local);
+        case 's3':
+            return createS3Storage(options.s3);
+        default:
+            throw new Error(`Unknown storage backend "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}.`);
+    }
+}
@@ -0,0 +1,108 @@
+// storage/local-storage.js - Storage backend on the local filesystem
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Creates a storage backend that keeps files in a local directory.
+ * The directory is not served over HTTP: files have no URL of their own (getUrl resolves
+ * to null) and reach clients only through /stream.
+ *
+ * @param {object} options
+ * @param {string} options.rootDir - Directory the keys are resolved against
+ */
+export function createLocalStorage({ rootDir }) {
+    // Keys come from our own code, but never let one escape rootDir
+    const resolveKey = key => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+    // Directory a list prefix points into, which may be rootDir itself
+    const resolvePrefixDir = prefix => {
+        const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+        return prefixDir ? resolveKey(prefixDir) : path.resolve(rootDir);
+    };
+
+    return {
+        name: 'local',
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolveKey(key));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        async upload(localPath, key) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.copyFile(localPath, filePath);
+        },
+
+        async write(key, data) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+        },
+
+        async read(key) {
+            try {
+                return await fs.promises.readFile(resolveKey(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+                return { size: stats.size, etag: null, lastModified: stats.mtime };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async openReadStream(key, range = {}) {
+            return fs.createReadStream(resolveKey(key), range);
+        },
+
+        async getUrl() {
+            return null;
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        },
+
+        async list(prefix) {
+            // Walk the directory the prefix points into, then keep the keys that match
+            const entries = await fs.promises.readdir(resolvePrefixDir(prefix), { recursive: true, withFileTypes: true })
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return [];
+                    }
+                    throw error;
+                });
+            const files = [];
+            for (const entry of entries.filter(entry => entry.isFile())) {
+                const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+                const key = path.relative(rootDir, filePath).split(path.sep).join('/');
+                const stats = key.startsWith(prefix) ? await this.stat(key) : null;
+                if (stats) {
+                    files.push({ key, size: stats.size, lastModified: stats.lastModified });
+                }
+            }
+            return files;
+        }
+    };
+}
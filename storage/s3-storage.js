@@ -0,0 +1,133 @@
+// storage/s3-storage.js - Storage backend for S3 and S3-compatible services (MinIO, R2, ...)
+import fs from 'fs';
+import {
+    S3Client, HeadObjectCommand, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Presigned S3 URLs cannot be valid for longer than a week
+const MAX_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Creates a storage backend that keeps files in an S3 bucket.
+ * URLs are presigned and expire after signedUrlTtlMs, unless publicUrl is set, in which
+ * case the bucket is assumed to be publicly readable there.
+ *
+ * @param {object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.endpoint] - Endpoint of an S3-compatible service, e.g. http://localhost:9000 for MinIO
+ * @param {string} options.region
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} [options.forcePathStyle] - Use bucket-in-path URLs (needed by MinIO)
+ * @param {string} [options.publicUrl] - Public base URL of the bucket
+ * @param {number} options.signedUrlTtlMs - How long a presigned URL stays valid (at most a week)
+ * @param {object} [options.client] - S3Client to use instead of one made from the options above
+ */
+export function createS3Storage({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, publicUrl, signedUrlTtlMs, client: injectedClient }) {
+    if (!bucket) {
+        throw new Error('S3 storage requires a bucket name.');
+    }
+    const client = injectedClient || new S3Client({
+        endpoint: endpoint || undefined,
+        region,
+        forcePathStyle: Boolean(forcePathStyle),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === 404 || error.name === 'NotFound') {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        async upload(localPath, key, { contentType }) {
+            const { size } = await fs.promises.stat(localPath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(localPath),
+                ContentLength: size,
+                ContentType: contentType
+            }));
+        },
+
+        async write(key, data, { contentType }) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: data, ContentType: contentType }));
+        },
+
+        async read(key) {
+            try {
+                const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Buffer.from(await Body.transformToByteArray());
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === 404 || error.name === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return { size: head.ContentLength, etag: head.ETag || null, lastModified: head.LastModified };
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === 404 || error.name === 'NotFound') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async openReadStream(key, { start, end } = {}) {
+            const { Body } = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Range: start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined
+            }));
+            return Body;
+        },
+
+        async getUrl(key) {
+            if (publicUrl) {
+                return `${publicUrl.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+            }
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+                expiresIn: Math.min(Math.round(signedUrlTtlMs / 1000), MAX_URL_EXPIRY_SECONDS)
+            });
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async list(prefix) {
+            const files = [];
+            let continuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken
+                }));
+                (page.Contents || []).forEach(object => files.push({
+                    key: object.Key,
+                    size: object.Size,
+                    lastModified: object.LastModified
+                }));
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+            return files;
+        }
+    };
+}
@@ -1,66 +1,56 @@
 // test-redis.js - Simple Redis connection test
+// Reads the Redis settings from config.js, e.g.:
+//   REDIS_HOST=... REDIS_PORT=... REDIS_PASSWORD=... node test-redis.js
 import { createClient } from 'redis';
+import { loadConfig } from './config.js';
+import { redisConfigurations } from './redis-config.js';
 
 console.log('Testing Redis connection...');
 
-// Test configuration 1: With TLS and rejectUnauthorized: false
+// Tries each connection variant from redis-config.js and reports which ones work
 async function testRedisConnection() {
-    const client = createClient({
-        username: 'default',
-        password: 'QOW3nICCleevROcEWNnNqgR7V818GHJj',
-        socket: {
-            host: 'redis-18426.c328.europe-west3-1.gce.redns.redis-cloud.com',
-            port: 18426,
-            tls: true,
-            rejectUnauthorized: false
-        }
-    });
+    let redis;
+    try {
+        ({ redis } = loadConfig());
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (!redis.host) {
+        console.error('❌ REDIS_HOST is not set.');
+        process.exitCode = 1;
+        return;
+    }
 
-    client.on('error', err => {
-        console.log('Redis Client Error:', err.message);
-    });
+    const configs = redisConfigurations(redis);
+    for (let i = 0; i < configs.length; i++) {
+        console.log(`\nTrying configuration ${i + 1} (${configs[i].socket.tls ? 'TLS' : 'no TLS'})...`);
+        const client = createClient(configs[i]);
+        client.on('error', err => {
+            console.log('Redis Client Error:', err.message);
+        });
 
-    client.on('connect', () => {
-        console.log('Redis client connecting...');
-    });
+        try {
+            await client.connect();
+            console.log(`✅ Successfully connected to ${redis.host}:${redis.port}`);
 
-    client.on('ready', () => {
-        console.log('Redis client ready');
-    });
+            // Test basic operations
+            await client.set('test', 'Hello Redis!');
+            const result = await client.get('test');
+            console.log('✅ Test value retrieved:', result);
 
-    try {
-        await client.connect();
-        console.log('✅ Successfully connected to Redis Cloud');
-        
-        // Test basic operations
-        await client.set('test', 'Hello Redis!');
-        const result = await client.get('test');
-        console.log('✅ Test value retrieved:', result);
-        
-        await client.disconnect();
-        console.log('✅ Disconnected from Redis');
-    } catch (error) {
-        console.error('❌ Failed to connect to Redis:', error.message);
-        
-        // Try alternative configuration without TLS
-        console.log('\nTrying alternative configuration without TLS...');
-        try {
-            const client2 = createClient({
-                username: 'default',
-                password: 'QOW3nICCleevROcEWNnNqgR7V818GHJj',
-                socket: {
-                    host: 'redis-18426.c328.europe-west3-1.gce.redns.redis-cloud.com',
-                    port: 18426
-                }
-            });
-            
-            await client2.connect();
-            console.log('✅ Successfully connected to Redis without TLS');
-            await client2.disconnect();
-        } catch (error2) {
-            console.error('❌ Alternative configuration also failed:', error2.message);
+            await client.disconnect();
+            console.log('✅ Disconnected from Redis');
+            return;
+        } catch (error) {
+            console.error(`❌ Configuration ${i + 1} failed:`, error.message);
+            if (client.isOpen) {
+                client.destroy();
+            }
         }
     }
+    process.exitCode = 1;
 }
 
-testRedisConnection(); 
\ No newline at end of file
+testRedisConnection();
@@ -0,0 +1,179 @@
+// test/album-download.test.js - POST /album-download, its album jobs and ZIP bundles against the fake yt-dlp
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, setYtDlpScenarios, ytdlpCalls } from './helpers/harness.js';
+import { readStoredZip } from './helpers/zip.js';
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp({ env: { DOWNLOAD_CONCURRENCY: '2', RATE_LIMIT_ALBUM_DOWNLOAD: '100/60' } });
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    setYtDlpScenarios([]);
+    harness.storage.files.clear();
+});
+
+/**
+ * Scenarios for an album: its flat listing, then one download per track.
+ * Tracks are { slug, title, ...scenario }; a track with a 'url' is listed with that URL instead.
+ */
+function albumScenarios(setUrl, album, tracks) {
+    const trackUrl = track => track.url || `https://soundcloud.com/artist/${track.slug}`;
+    return [
+        {
+            match: setUrl,
+            json: tracks.map(track => ({ id: track.slug, title: track.title, url: trackUrl(track), uploader: 'Artist', playlist_title: album }))
+        },
+        ...tracks.filter(track => !track.url).map(({ slug, title, ...scenario }) => ({
+            match: trackUrl({ slug }),
+            info: { id: slug, title, uploader: 'Artist', duration: 201, webpage_url: trackUrl({ slug }) },
+            ...scenario
+        }))
+    ];
+}
+
+// Polls GET /album-download/:id until the album job is done or failed, calling onPoll with every state seen
+async function waitForAlbum(albumJobId, onPoll = () => {}) {
+    const giveUpAt = Date.now() + 10000;
+    while (Date.now() < giveUpAt) {
+        const { body } = await harness.request('GET', `/album-download/${albumJobId}`);
+        onPoll(body.job);
+        if (body.job.state === 'done' || body.job.state === 'failed') {
+            return body.job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Album job ${albumJobId} did not finish`);
+}
+
+test('album tracks are downloaded a few at a time, in album order', async () => {
+    const setUrl = 'https://soundcloud.com/artist/sets/paced';
+    const tracks = ['paced-one', 'paced-two', 'paced-three', 'paced-four'].map(slug => ({ slug, title: slug, delayMs: 150 }));
+    setYtDlpScenarios(albumScenarios(setUrl, 'Paced', tracks));
+
+    const queued = await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: setUrl } });
+    assert.equal(queued.status, 202);
+    let mostProcessing = 0;
+    const job = await waitForAlbum(queued.body.albumJobId, polled => {
+        const processing = (polled.tracks || []).filter(track => track.status === 'processing').length;
+        mostProcessing = Math.max(mostProcessing, processing);
+    });
+
+    assert.equal(job.state, 'done');
+    assert.equal(job.album, 'Paced');
+    assert.equal(mostProcessing, 2);
+    assert.deepEqual(job.counts, { total: 4, done: 4, skipped: 0, failed: 0 });
+    assert.deepEqual(job.tracks.map(track => track.trackNumber), [1, 2, 3, 4]);
+    assert.equal(job.tracks[0].streamUrl, `/stream/${job.tracks[0].hash}?format=mp3&quality=default`);
+    assert.equal(job.zipUrl, null);
+
+    // Every track is tagged with the album and its position in it
+    const downloads = ytdlpCalls().filter(args => args.includes('-x'));
+    assert.equal(downloads.length, 4);
+    for (const [index, slug] of ['paced-one', 'paced-two', 'paced-three', 'paced-four'].entries()) {
+        const args = downloads.find(call => call.at(-1) === `https://soundcloud.com/artist/${slug}`);
+        assert.ok(args.includes('--embed-metadata'), slug);
+        assert.ok(args.includes('--embed-thumbnail'), slug);
+        assert.equal(args[args.indexOf('--postprocessor-args') + 1], `Metadata+ffmpeg_o:-metadata 'album=Paced' -metadata 'track=${index + 1}/4'`);
+    }
+});
+
+test('a failed track is reported while the others still finish', async () => {
+    const setUrl = 'https://soundcloud.com/artist/sets/patchy';
+    setYtDlpScenarios(albumScenarios(setUrl, 'Patchy', [
+        { slug: 'patchy-first', title: 'First' },
+        { slug: 'patchy-private', title: 'Private', exitCode: 1, stderr: 'ERROR: [soundcloud] artist/patchy-private: This track is private\n' },
+        { slug: 'patchy-elsewhere', title: 'Elsewhere', url: 'https://example.com/elsewhere' },
+        { slug: 'patchy-last', title: 'Last' }
+    ]));
+
+    const queued = await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: setUrl } });
+    const job = await waitForAlbum(queued.body.albumJobId);
+
+    assert.equal(job.state, 'done');
+    assert.equal(job.message, '2 of 4 album tracks failed.');
+    assert.deepEqual(job.counts, { total: 4, done: 2, skipped: 0, failed: 2 });
+    assert.deepEqual(job.tracks.map(track => track.status), ['done', 'failed', 'failed', 'done']);
+    assert.equal(job.tracks[1].errorCode, 'PRIVATE');
+    assert.equal(job.tracks[1].streamUrl, null);
+    assert.equal(job.tracks[2].errorCode, 'UNSUPPORTED_URL');
+    assert.ok(harness.storage.files.has(`audio/${job.tracks[3].hash}.mp3`));
+});
+
+test('the ZIP holds every track under a safe name and an M3U playlist in album order', async () => {
+    const setUrl = 'https://soundcloud.com/artist/sets/bundled';
+    setYtDlpScenarios(albumScenarios(setUrl, 'Debut <Deluxe>', [
+        { slug: 'bundled-intro', title: 'Intro: Part 1/2' },
+        { slug: 'bundled-what', title: 'What?' }
+    ]));
+
+    const queued = await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: setUrl, zip: true } });
+    const job = await waitForAlbum(queued.body.albumJobId);
+    assert.equal(job.state, 'done');
+    assert.equal(job.zipUrl, `/album-download/${job.id}/zip`);
+
+    const zip = await harness.request('GET', job.zipUrl, { raw: true });
+    assert.equal(zip.status, 200);
+    assert.equal(zip.headers['content-type'], 'application/zip');
+    assert.match(zip.headers['content-disposition'], /filename="Debut _Deluxe_\.zip"/);
+
+    const entries = readStoredZip(zip.body);
+    assert.deepEqual(entries.map(entry => entry.name), [
+        '01 - Artist - Intro_ Part 1_2.mp3',
+        '02 - Artist - What_.mp3',
+        'Debut _Deluxe_.m3u'
+    ]);
+    assert.equal(entries[0].data.toString(), 'fake audio data');
+    assert.equal(entries[2].data.toString(), [
+        '#EXTM3U',
+        '#EXTINF:201,Artist - Intro: Part 1/2',
+        '01 - Artist - Intro_ Part 1_2.mp3',
+        '#EXTINF:201,Artist - What?',
+        '02 - Artist - What_.mp3',
+        ''
+    ].join('\n'));
+});
+
+test('a ZIP is 409 until it is built or when none was asked for, and 404 once it is gone', async () => {
+    const setUrl = 'https://soundcloud.com/artist/sets/waiting';
+    setYtDlpScenarios(albumScenarios(setUrl, 'Waiting', [{ slug: 'waiting-only', title: 'Only', delayMs: 200 }]));
+
+    const queued = await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: setUrl, zip: true } });
+    const zipUrl = `/album-download/${queued.body.albumJobId}/zip`;
+    const building = await harness.request('GET', zipUrl);
+    assert.equal(building.status, 409);
+    assert.equal(building.body.message, 'The ZIP is not ready yet.');
+
+    const job = await waitForAlbum(queued.body.albumJobId);
+    assert.equal(job.state, 'done');
+    assert.equal((await harness.request('GET', zipUrl, { raw: true })).status, 200);
+    const zipKeys = [...harness.storage.files.keys()].filter(key => key.startsWith('albums/'));
+    assert.equal(zipKeys.length, 1);
+    harness.storage.files.delete(zipKeys[0]);
+    const gone = await harness.request('GET', zipUrl);
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.message, 'The ZIP is no longer stored.');
+
+    const withoutZip = await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: setUrl } });
+    await waitForAlbum(withoutZip.body.albumJobId);
+    const notAsked = await harness.request('GET', `/album-download/${withoutZip.body.albumJobId}/zip`);
+    assert.equal(notAsked.status, 409);
+    assert.equal(notAsked.body.message, 'No ZIP was built for this album job.');
+
+    assert.equal((await harness.request('GET', '/album-download/no-such-job/zip')).status, 404);
+    assert.equal((await harness.request('GET', '/album-download/no-such-job')).status, 404);
+});
+
+test('album downloads need a signed-in user, an album URL and a known format', async () => {
+    const setUrl = 'https://soundcloud.com/artist/sets/rejected';
+    assert.equal((await harness.request('POST', '/album-download', { body: { url: setUrl } })).status, 401);
+    assert.equal((await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: 'https://soundcloud.com/artist/single' } })).status, 400);
+    assert.equal((await harness.request('POST', '/album-download', { uid: 'user-1', body: { url: setUrl, format: 'wav' } })).status, 400);
+    assert.equal(ytdlpCalls().length, 0);
+});
@@ -0,0 +1,79 @@
+// test/album-tracks.test.js - POST /album-tracks against the fake yt-dlp
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, setYtDlpScenarios, ytdlpCalls } from './helpers/harness.js';
+
+const SET_URL = 'https://soundcloud.com/artist/sets/debut';
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp();
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    setYtDlpScenarios([]);
+});
+
+test('lists the tracks of an album in order', async () => {
+    setYtDlpScenarios([{
+        match: SET_URL,
+        json: [
+            { id: '1', title: 'Opening', url: 'https://soundcloud.com/artist/opening', uploader: 'Artist', playlist_title: 'Debut' },
+            { id: '2', title: 'Closing', url: 'https://soundcloud.com/artist/closing', uploader: 'Artist', playlist_title: 'Debut', thumbnails: [{ url: 'small.jpg' }, { url: 'large.jpg' }] }
+        ]
+    }]);
+
+    const { status, body } = await harness.request('POST', '/album-tracks', { body: { url: SET_URL } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.tracks.map(track => track.title), ['Opening', 'Closing']);
+    assert.equal(body.tracks[0].url, 'https://soundcloud.com/artist/opening');
+    assert.equal(body.tracks[1].thumbnail, 'large.jpg');
+
+    const [args] = ytdlpCalls();
+    assert.ok(args.includes('--flat-playlist'));
+    assert.deepEqual(args.slice(-2), ['--', SET_URL]);
+});
+
+test('yt-dlp failures are mapped to error codes', async () => {
+    const cases = [
+        { stderr: 'ERROR: [soundcloud:set] artist/sets/debut: Unable to download JSON metadata: HTTP Error 404: Not Found\n', code: 'NOT_FOUND', status: 404 },
+        { stderr: 'ERROR: [youtube:tab] PL123: This playlist is private\n', code: 'PRIVATE', status: 403 },
+        { stderr: 'ERROR: [soundcloud:set] artist/sets/debut: HTTP Error 429: Too Many Requests\n', code: 'RATE_LIMITED', status: 503 },
+        { stderr: 'ERROR: Postprocessing: ffprobe and ffmpeg not found. Please install or provide the path using --ffmpeg-location\n', code: 'TOOLING_MISSING', status: 500 },
+        { stderr: 'ERROR: [soundcloud:set] something unexpected happened\n', code: 'UNKNOWN', status: 502 }
+    ];
+    for (const { stderr, code, status } of cases) {
+        setYtDlpScenarios([{ match: SET_URL, exitCode: 1, stderr }]);
+        const response = await harness.request('POST', '/album-tracks', { body: { url: SET_URL } });
+        assert.equal(response.status, status, code);
+        assert.equal(response.body.code, code);
+        assert.equal(response.body.success, false);
+        assert.doesNotMatch(response.body.message, /ERROR:/);
+    }
+});
+
+test('a yt-dlp run that takes too long is killed and reported as a timeout', async () => {
+    const slow = await createTestApp({ env: { YTDLP_PLAYLIST_TIMEOUT_SECONDS: '1' } });
+    try {
+        setYtDlpScenarios([{ match: SET_URL, delayMs: 5000, json: [] }]);
+        const { status, body } = await slow.request('POST', '/album-tracks', { body: { url: SET_URL } });
+        assert.equal(status, 504);
+        assert.equal(body.code, 'TIMEOUT');
+        assert.equal(body.retryable, true);
+    } finally {
+        await slow.close();
+    }
+});
+
+test('only album and playlist URLs of supported sites are accepted', async () => {
+    for (const url of [undefined, 'https://soundcloud.com/artist/single-track', 'https://example.com/sets/debut', 'file:///etc/passwd']) {
+        const { status } = await harness.request('POST', '/album-tracks', { body: { url } });
+        assert.equal(status, 400, String(url));
+    }
+    assert.equal(ytdlpCalls().length, 0);
+});
@@ -0,0 +1,96 @@
+// test/audio-analysis.test.js - Loudness values, waveform peaks and encoder arguments
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toTrackLoudness, computeWaveform, REPLAYGAIN_REFERENCE_LUFS, WAVEFORM_MAX_PEAK } from '../audio-analysis.js';
+import { ffmpegEncoderArgs, resolveOutputVariant } from '../audio-formats.js';
+
+// computeWaveform runs the stand-in ffmpeg, which "decodes" raw samples written by the tests
+const FAKE_FFMPEG_DIR = fileURLToPath(new URL('./fixtures/ffmpeg-bin', import.meta.url));
+const SAMPLE_RATE = 8000;
+
+let workDir;
+let originalPath;
+
+before(async () => {
+    originalPath = process.env.PATH;
+    process.env.PATH = `${FAKE_FFMPEG_DIR}${path.delimiter}${originalPath}`;
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-backend-analysis-'));
+});
+
+after(async () => {
+    process.env.PATH = originalPath;
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+// Writes samples as signed 16-bit little-endian mono PCM
+async function writeSamples(name, samples) {
+    const buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, index) => buffer.writeInt16LE(sample, index * 2));
+    const filePath = path.join(workDir, name);
+    await fs.promises.writeFile(filePath, buffer);
+    return filePath;
+}
+
+test('loudness becomes a ReplayGain track gain and a linear peak', () => {
+    const loudness = toTrackLoudness({ integratedLufs: -9.456, truePeakDbtp: -0.1234, loudnessRange: 6.789, thresholdLufs: -19.5, targetOffset: 0.2 });
+    assert.deepEqual(loudness, {
+        integratedLufs: -9.46,
+        truePeakDbtp: -0.12,
+        loudnessRange: 6.79,
+        referenceLufs: REPLAYGAIN_REFERENCE_LUFS,
+        trackGainDb: -8.54,
+        trackPeak: 0.985893
+    });
+    assert.equal(toTrackLoudness({ integratedLufs: -24, truePeakDbtp: -6.0206, loudnessRange: 0 }).trackGainDb, 6);
+});
+
+test('silent audio has no gain, and a peak of 0', () => {
+    const loudness = toTrackLoudness({ integratedLufs: -Infinity, truePeakDbtp: -Infinity, loudnessRange: 0 });
+    assert.equal(loudness.integratedLufs, null);
+    assert.equal(loudness.truePeakDbtp, null);
+    assert.equal(loudness.trackGainDb, null);
+    assert.equal(loudness.trackPeak, 0);
+    assert.equal(loudness.loudnessRange, 0);
+});
+
+test('the waveform holds the loudest sample of each equal slice', async () => {
+    // Four seconds, one second per point: quiet, full scale (negative), silent, half
+    const slices = [1000, -32768, 0, 16384];
+    const samples = slices.flatMap(peak => Array.from({ length: SAMPLE_RATE }, (value, index) => (index === 123 ? peak : Math.trunc(peak / 4))));
+    const filePath = await writeSamples('slices.pcm', samples);
+
+    const waveform = await computeWaveform(filePath, { points: 4, duration: 4, timeoutMs: 5000 });
+    assert.deepEqual(waveform, {
+        points: 4,
+        maxPeak: WAVEFORM_MAX_PEAK,
+        peaks: [Math.round((1000 / 32768) * WAVEFORM_MAX_PEAK), WAVEFORM_MAX_PEAK, 0, Math.round(WAVEFORM_MAX_PEAK / 2)]
+    });
+});
+
+test('samples beyond the probed duration go to the last point', async () => {
+    const samples = [...new Array(SAMPLE_RATE * 2).fill(100), ...new Array(SAMPLE_RATE).fill(32767)];
+    const filePath = await writeSamples('longer.pcm', samples);
+
+    const { peaks } = await computeWaveform(filePath, { points: 2, duration: 2, timeoutMs: 5000 });
+    assert.deepEqual(peaks, [1, WAVEFORM_MAX_PEAK]);
+});
+
+test('a failed decode rejects with what ffmpeg printed', async () => {
+    await assert.rejects(computeWaveform(path.join(workDir, 'missing.pcm'), { points: 4, duration: 1, timeoutMs: 5000 }), error => {
+        assert.match(error.message, /ffmpeg exited with code 1: .*No such file or directory/);
+        return true;
+    });
+});
+
+test('normalized copies are encoded with the codec and bitrate of their variant', () => {
+    assert.deepEqual(ffmpegEncoderArgs(resolveOutputVariant('mp3', 'default')), ['-c:a', 'libmp3lame']);
+    assert.deepEqual(ffmpegEncoderArgs(resolveOutputVariant('mp3', 'best')), ['-c:a', 'libmp3lame', '-q:a', '0']);
+    assert.deepEqual(ffmpegEncoderArgs(resolveOutputVariant('opus', 'best')), ['-c:a', 'libopus']);
+    assert.deepEqual(ffmpegEncoderArgs(resolveOutputVariant('aac', '256k')), ['-c:a', 'aac', '-b:a', '256k']);
+    assert.deepEqual(ffmpegEncoderArgs(resolveOutputVariant('ogg', '128k')), ['-c:a', 'libvorbis', '-b:a', '128k']);
+    assert.deepEqual(ffmpegEncoderArgs(resolveOutputVariant('flac')), ['-c:a', 'flac']);
+});
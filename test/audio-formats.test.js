@@ -0,0 +1,46 @@
+// test/audio-formats.test.js - Output variants: allowed formats and qualities, and their storage keys
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOutputVariant, variantStorageKey, contentTypeFor } from '../audio-formats.js';
+
+const HASH = 'a'.repeat(32);
+
+test('without a format or quality the default MP3 is produced under the original key', () => {
+    const variant = resolveOutputVariant(undefined, undefined);
+    assert.deepEqual(variant, {
+        id: 'mp3-default',
+        format: 'mp3',
+        quality: 'default',
+        extension: 'mp3',
+        ytdlpArgs: ['--audio-format', 'mp3'],
+        isDefault: true
+    });
+    assert.equal(variantStorageKey(HASH, variant), `audio/${HASH}.mp3`);
+    assert.equal(variantStorageKey(HASH, resolveOutputVariant('MP3', 'Default')), `audio/${HASH}.mp3`);
+});
+
+test('other variants are stored as audio/<hash>.<quality>.<extension>', () => {
+    const cases = [
+        ['mp3', '320k', `audio/${HASH}.320k.mp3`, ['--audio-format', 'mp3', '--audio-quality', '320K']],
+        ['mp3', 'best', `audio/${HASH}.best.mp3`, ['--audio-format', 'mp3', '--audio-quality', '0']],
+        ['opus', undefined, `audio/${HASH}.default.opus`, ['--audio-format', 'opus']],
+        ['aac', '128k', `audio/${HASH}.128k.m4a`, ['--audio-format', 'm4a', '--audio-quality', '128K']],
+        ['vorbis', '192k', `audio/${HASH}.192k.ogg`, ['--audio-format', 'vorbis', '--audio-quality', '192K']],
+        ['flac', undefined, `audio/${HASH}.lossless.flac`, ['--audio-format', 'flac']],
+        ['flac', 'best', `audio/${HASH}.lossless.flac`, ['--audio-format', 'flac']]
+    ];
+    for (const [format, quality, key, ytdlpArgs] of cases) {
+        const variant = resolveOutputVariant(format, quality);
+        assert.equal(variant.isDefault, false, `${format} ${quality}`);
+        assert.equal(variantStorageKey(HASH, variant), key);
+        assert.deepEqual(variant.ytdlpArgs, ytdlpArgs);
+        assert.notEqual(contentTypeFor(key), 'application/octet-stream');
+    }
+});
+
+test('unknown formats and qualities are rejected', () => {
+    assert.throws(() => resolveOutputVariant('wav'), /Unsupported format "wav"/);
+    assert.throws(() => resolveOutputVariant('mp3', '1000k'), /Unsupported quality "1000k"/);
+    assert.throws(() => resolveOutputVariant('opus', '320'), /Unsupported quality "320"/);
+    assert.throws(() => resolveOutputVariant('flac', '320k'), /lossless and takes no bitrate/);
+});
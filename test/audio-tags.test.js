@@ -0,0 +1,25 @@
+// test/audio-tags.test.js - yt-dlp tagging arguments and the album overrides passed to ffmpeg
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTaggingArgs } from '../audio-tags.js';
+
+const EMBED_ARGS = ['--embed-metadata', '--embed-thumbnail', '--convert-thumbnails', 'jpg'];
+
+test('single tracks are tagged from their info JSON only', () => {
+    assert.deepEqual(buildTaggingArgs(), EMBED_ARGS);
+    assert.deepEqual(buildTaggingArgs({ album: '', trackNumber: 0 }), EMBED_ARGS);
+});
+
+test('album items override the album and the track number, with the track count if known', () => {
+    assert.deepEqual(buildTaggingArgs({ album: 'Debut', trackNumber: 3, trackCount: 12 }), [
+        ...EMBED_ARGS,
+        '--postprocessor-args', "Metadata+ffmpeg_o:-metadata 'album=Debut' -metadata 'track=3/12'"
+    ]);
+    assert.deepEqual(buildTaggingArgs({ trackNumber: 3 }).slice(-1), ["Metadata+ffmpeg_o:-metadata 'track=3'"]);
+    assert.deepEqual(buildTaggingArgs({ album: 'Debut', trackNumber: 1.5 }).slice(-1), ["Metadata+ffmpeg_o:-metadata 'album=Debut'"]);
+});
+
+test('album titles are quoted so yt-dlp keeps them one argument', () => {
+    const [, postprocessorArgs] = buildTaggingArgs({ album: "Rock 'n' Roll; $(rm -rf /)" }).slice(-2);
+    assert.equal(postprocessorArgs, `Metadata+ffmpeg_o:-metadata 'album=Rock '"'"'n'"'"' Roll; $(rm -rf /)'`);
+});
@@ -0,0 +1,161 @@
+// test/config.test.js - Reading, validating and logging the configuration
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, redactConfig } from '../config.js';
+
+let tempDir;
+
+beforeEach(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-backend-config-'));
+});
+
+afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+async function writeConfigFile(values) {
+    const configFile = path.join(tempDir, 'config.json');
+    await fs.promises.writeFile(configFile, typeof values === 'string' ? values : JSON.stringify(values));
+    return configFile;
+}
+
+// The message loadConfig throws for the given variables
+function problemsOf(env) {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        return error.message;
+    }
+    assert.fail('loadConfig accepted the configuration');
+}
+
+test('defaults apply without any variables, scaled to milliseconds and bytes', () => {
+    const config = loadConfig({});
+    assert.equal(config.port, 10000);
+    assert.equal(config.storage.backend, 'firebase');
+    assert.equal(config.storage.tempMaxAgeMs, 60 * 60 * 1000);
+    assert.equal(config.ytdlp.download.maxOutputBytes, 10 * 1024 * 1024);
+    assert.deepEqual(config.adminUids, []);
+    assert.equal(config.redis.host, null);
+    assert.deepEqual(config.rateLimits.search, { limit: 30, windowSeconds: 60 });
+    assert.ok(Object.isFrozen(config.storage.s3));
+});
+
+test('values are parsed by type', () => {
+    const config = loadConfig({
+        PORT: ' 8080 ',
+        S3_FORCE_PATH_STYLE: '1',
+        REDIS_TLS: 'false',
+        ADMIN_UIDS: ' admin-1, ,admin-2 ',
+        SIGNED_URL_TTL_MINUTES: '15',
+        RATE_LIMIT_DOWNLOAD: 'off',
+        REDIS_HOST: ''
+    });
+    assert.equal(config.port, 8080);
+    assert.equal(config.storage.s3.forcePathStyle, true);
+    assert.equal(config.redis.tls, false);
+    assert.deepEqual(config.adminUids, ['admin-1', 'admin-2']);
+    assert.equal(config.storage.signedUrlTtlMs, 15 * 60 * 1000);
+    assert.equal(config.rateLimits.download, null);
+    assert.equal(config.redis.host, null);
+});
+
+test('every bad value is reported at once', () => {
+    const message = problemsOf({
+        PORT: '80.5',
+        DOWNLOAD_CONCURRENCY: '0',
+        REDIS_PORT: '70000',
+        REDIS_TLS: 'yes',
+        S3_FORCE_PATH_STYLE: 'on',
+        STORAGE_BACKEND: 'dropbox',
+        RATE_LIMIT_SEARCH: 'many',
+        FIREBASE_ADMIN_SDK_CONFIG: '{not json'
+    });
+    assert.match(message, /^Invalid configuration:/);
+    assert.match(message, /PORT must be a whole number/);
+    assert.match(message, /DOWNLOAD_CONCURRENCY must be between 1 and ∞/);
+    assert.match(message, /REDIS_PORT must be between 1 and 65535/);
+    assert.match(message, /REDIS_TLS must be true or false/);
+    assert.match(message, /S3_FORCE_PATH_STYLE must be true or false/);
+    assert.match(message, /STORAGE_BACKEND must be one of: firebase, local, s3/);
+    assert.match(message, /RATE_LIMIT_SEARCH must be "<requests>\/<seconds>" or "off"/);
+    assert.match(message, /FIREBASE_ADMIN_SDK_CONFIG must be valid JSON/);
+});
+
+test('the config file fills in what the environment does not set', async () => {
+    const configFile = await writeConfigFile({
+        PORT: 9000,
+        DOWNLOAD_CONCURRENCY: 4,
+        REDIS_TLS: true,
+        ADMIN_UIDS: ['admin-1', 'admin-2'],
+        FIREBASE_ADMIN_SDK_CONFIG: { project_id: 'demo' }
+    });
+    const config = loadConfig({ CONFIG_FILE: configFile, PORT: '9100', DOWNLOAD_CONCURRENCY: '' });
+    assert.equal(config.port, 9100);
+    assert.equal(config.downloads.concurrency, 4);
+    assert.equal(config.redis.tls, true);
+    assert.deepEqual(config.adminUids, ['admin-1', 'admin-2']);
+    assert.deepEqual(config.firebase.serviceAccount, { project_id: 'demo' });
+});
+
+test('bad values in the config file are reported like bad variables', async () => {
+    const configFile = await writeConfigFile({ PORT: '9000x', REDIS_TLS: 'sometimes', ADMIN_UIDS: { admin: true }, CORS_ORIGINS: ['https://a.example', 42] });
+    const message = problemsOf({ CONFIG_FILE: configFile });
+    assert.match(message, /PORT must be a whole number/);
+    assert.match(message, /REDIS_TLS must be true or false/);
+    assert.match(message, /ADMIN_UIDS must be a comma-separated list or an array of strings/);
+    assert.match(message, /CORS_ORIGINS must be a comma-separated list or an array of strings/);
+});
+
+test('a config file that is missing, not JSON, not an object or has unknown settings is rejected', async () => {
+    assert.throws(() => loadConfig({ CONFIG_FILE: path.join(tempDir, 'missing.json') }), /Cannot read config file/);
+    const configFile = path.join(tempDir, 'config.json');
+    const cases = [
+        ['{', /is not valid JSON/],
+        ['[1]', /must contain a JSON object/],
+        ['null', /must contain a JSON object/],
+        [JSON.stringify({ PORT: 9000, REDIS_HOSTNAME: 'redis' }), /unknown settings: REDIS_HOSTNAME/]
+    ];
+    for (const [contents, problem] of cases) {
+        await writeConfigFile(contents);
+        assert.throws(() => loadConfig({ CONFIG_FILE: configFile }), problem, contents);
+    }
+});
+
+test('settings that do not fit together are rejected', () => {
+    assert.match(problemsOf({ STORAGE_BACKEND: 's3' }), /S3_BUCKET is required when STORAGE_BACKEND is s3/);
+    assert.equal(loadConfig({ STORAGE_BACKEND: 's3', S3_BUCKET: 'music' }).storage.s3.bucket, 'music');
+
+    // Temp files swept after 15 minutes could belong to a download still allowed to run for 15
+    assert.match(problemsOf({ TEMP_MAX_AGE_MINUTES: '15', YTDLP_DOWNLOAD_TIMEOUT_SECONDS: '900' }), /TEMP_MAX_AGE_MINUTES must be longer than YTDLP_DOWNLOAD_TIMEOUT_SECONDS/);
+    assert.equal(loadConfig({ TEMP_MAX_AGE_MINUTES: '16', YTDLP_DOWNLOAD_TIMEOUT_SECONDS: '900' }).storage.tempMaxAgeMs, 16 * 60 * 1000);
+
+    assert.match(problemsOf({ REDIS_PASSWORD: 'secret' }), /REDIS_PASSWORD is set but REDIS_HOST is not/);
+});
+
+test('secret values are redacted for the startup log, the rest is kept', () => {
+    const config = loadConfig({
+        METRICS_TOKEN: 'metrics-secret',
+        FIREBASE_ADMIN_SDK_CONFIG: '{"private_key":"firebase-secret"}',
+        S3_ACCESS_KEY_ID: 'AKIDSECRET',
+        S3_SECRET_ACCESS_KEY: 's3-secret',
+        REDIS_HOST: 'redis.example',
+        REDIS_PASSWORD: 'redis-secret'
+    });
+    const redacted = redactConfig(config);
+    const logged = JSON.stringify(redacted);
+    for (const secret of ['metrics-secret', 'firebase-secret', 'AKIDSECRET', 's3-secret', 'redis-secret']) {
+        assert.equal(logged.includes(secret), false, secret);
+    }
+    assert.equal(redacted.metricsToken, '[redacted]');
+    assert.equal(redacted.firebase.serviceAccount, '[redacted]');
+    assert.equal(redacted.redis.password, '[redacted]');
+    assert.equal(redacted.redis.host, 'redis.example');
+
+    // Unset secrets stay null, and the config itself is not changed
+    assert.equal(redactConfig(loadConfig({})).redis.password, null);
+    assert.equal(config.redis.password, 'redis-secret');
+});
@@ -0,0 +1,228 @@
+// test/download.test.js - POST /download-mp3 and its jobs against the fake yt-dlp
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestApp, setYtDlpScenarios, ytdlpCalls } from './helpers/harness.js';
+
+const TRACK_URL = 'https://soundcloud.com/artist/first-track';
+const hashOf = url => crypto.createHash('md5').update(url).digest('hex');
+
+const trackInfo = {
+    id: '1234',
+    title: 'First Track',
+    uploader: 'Artist',
+    album: 'Debut',
+    duration: 201,
+    extractor_key: 'Soundcloud',
+    webpage_url: TRACK_URL
+};
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp();
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    setYtDlpScenarios([]);
+    harness.storage.files.clear();
+});
+
+test('a track that is not stored yet is downloaded, uploaded and described', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, stdout: '[download]  100.0% of 3.10MiB at 2.00MiB/s ETA 00:00\n', info: trackInfo }]);
+    const hash = hashOf(TRACK_URL);
+
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url: TRACK_URL } });
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.merged, false);
+
+    const job = await harness.waitForJob(queued.body.jobId);
+    assert.equal(job.state, 'done');
+    assert.equal(job.audioUrl, `memory://audio/${hash}.mp3`);
+    assert.equal(job.streamUrl, `/stream/${hash}?format=mp3&quality=default`);
+    assert.equal(job.title, 'First Track');
+    assert.equal(job.track.album, 'Debut');
+    assert.equal(job.track.variants['mp3-default'].storageKey, `audio/${hash}.mp3`);
+
+    assert.ok(harness.storage.files.has(`audio/${hash}.mp3`));
+    assert.equal(JSON.parse(harness.storage.files.get(`audio/${hash}.json`).data).title, 'First Track');
+
+    const [args] = ytdlpCalls();
+    assert.deepEqual(args.slice(-2), ['--', TRACK_URL]);
+    assert.ok(args.includes('-x'));
+    // Tagged from the info JSON with the cover embedded; a single track has no album overrides
+    assert.ok(args.includes('--embed-metadata'));
+    assert.ok(args.includes('--embed-thumbnail'));
+    assert.deepEqual(args.slice(args.indexOf('--convert-thumbnails'), args.indexOf('--convert-thumbnails') + 2), ['--convert-thumbnails', 'jpg']);
+    assert.equal(args.includes('--postprocessor-args'), false);
+});
+
+test('a track that is already stored is served without running yt-dlp', async () => {
+    const hash = hashOf(TRACK_URL);
+    await harness.storage.write(`audio/${hash}.mp3`, 'stored audio');
+    await harness.storage.write(`audio/${hash}.json`, JSON.stringify({
+        hash,
+        title: 'Stored Track',
+        artist: 'Artist',
+        thumbnail: null,
+        variants: { 'mp3-default': { format: 'mp3', quality: 'default', storageKey: `audio/${hash}.mp3` } }
+    }));
+
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url: TRACK_URL } });
+    const job = await harness.waitForJob(queued.body.jobId);
+    assert.equal(job.state, 'done');
+    assert.equal(job.title, 'Stored Track');
+    assert.equal(job.audioUrl, `memory://audio/${hash}.mp3`);
+    assert.equal(ytdlpCalls().length, 0);
+});
+
+test('a failed download fails the job with an error code', async () => {
+    const privateUrl = 'https://soundcloud.com/artist/private-track';
+    setYtDlpScenarios([{ match: privateUrl, exitCode: 1, stderr: 'ERROR: [soundcloud] artist/private-track: This track is private\n' }]);
+
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url: privateUrl } });
+    const job = await harness.waitForJob(queued.body.jobId);
+    assert.equal(job.state, 'failed');
+    assert.equal(job.errorCode, 'PRIVATE');
+    assert.equal(job.retryable, false);
+    assert.doesNotMatch(job.error, /ERROR: \[soundcloud\]/);
+    assert.equal(harness.storage.files.size, 0);
+});
+
+test('downloads need a signed-in user and a supported URL', async () => {
+    const anonymous = await harness.request('POST', '/download-mp3', { body: { url: TRACK_URL } });
+    assert.equal(anonymous.status, 401);
+
+    const missing = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: {} });
+    assert.equal(missing.status, 400);
+
+    const badFormat = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url: TRACK_URL, format: 'wav' } });
+    assert.equal(badFormat.status, 400);
+    assert.equal(ytdlpCalls().length, 0);
+});
+
+test('analyze and normalize must be true or false', async () => {
+    for (const flags of [{ analyze: 'yes' }, { normalize: 1 }, { analyze: true, normalize: null }]) {
+        const { status, body } = await harness.request('POST', '/download-mp3', { uid: 'user-2', body: { url: TRACK_URL, ...flags } });
+        assert.equal(status, 400, JSON.stringify(flags));
+        assert.match(body.message, /"analyze" and "normalize"/);
+    }
+    assert.equal(ytdlpCalls().length, 0);
+});
+
+test('asking for a normalized copy of a running download adds it to that job', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, delayMs: 500, info: trackInfo }]);
+
+    const first = await harness.request('POST', '/download-mp3', { uid: 'user-3', body: { url: TRACK_URL } });
+    assert.equal(first.body.job.analyze, false);
+    assert.equal(first.body.job.normalize, false);
+
+    const second = await harness.request('POST', '/download-mp3', { uid: 'user-3', body: { url: TRACK_URL, normalize: true } });
+    assert.equal(second.body.merged, true);
+    assert.equal(second.body.jobId, first.body.jobId);
+    assert.equal(second.body.job.analyze, true);
+    assert.equal(second.body.job.normalize, true);
+
+    // A later request without the flags does not take them away
+    const third = await harness.request('POST', '/download-mp3', { uid: 'user-3', body: { url: TRACK_URL, analyze: false } });
+    assert.equal(third.body.merged, true);
+    assert.equal(third.body.job.normalize, true);
+
+    // The fake audio cannot be analysed, which still leaves a good download
+    const job = await harness.waitForJob(first.body.jobId);
+    assert.equal(job.state, 'done');
+    assert.equal(ytdlpCalls().length, 1);
+});
+
+test('a format and quality other than the default are stored under their own key', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, info: trackInfo }]);
+    const hash = hashOf(TRACK_URL);
+
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-4', body: { url: TRACK_URL, format: 'opus', quality: '160k' } });
+    assert.equal(queued.status, 202);
+    const job = await harness.waitForJob(queued.body.jobId);
+    assert.equal(job.state, 'done');
+    assert.equal(job.format, 'opus');
+    assert.equal(job.quality, '160k');
+    assert.equal(job.streamUrl, `/stream/${hash}?format=opus&quality=160k`);
+    assert.equal(job.track.variants['opus-160k'].storageKey, `audio/${hash}.160k.opus`);
+    assert.ok(harness.storage.files.has(`audio/${hash}.160k.opus`));
+    assert.equal(harness.storage.files.has(`audio/${hash}.mp3`), false);
+
+    const [args] = ytdlpCalls();
+    assert.deepEqual(args.slice(args.indexOf('--audio-format'), args.indexOf('--audio-format') + 4), ['--audio-format', 'opus', '--audio-quality', '160K']);
+});
+
+test('unknown formats and qualities are rejected with 400', async () => {
+    for (const body of [{ format: 'wav' }, { quality: '1000k' }, { format: 'flac', quality: '320k' }]) {
+        const { status, body: response } = await harness.request('POST', '/download-mp3', { uid: 'user-5', body: { url: TRACK_URL, ...body } });
+        assert.equal(status, 400, JSON.stringify(body));
+        assert.equal(response.success, false);
+    }
+    assert.equal(ytdlpCalls().length, 0);
+});
+
+test('the same track in two formats runs two jobs and keeps both variants', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, delayMs: 200, info: trackInfo }]);
+    const hash = hashOf(TRACK_URL);
+
+    const mp3 = await harness.request('POST', '/download-mp3', { uid: 'user-6', body: { url: TRACK_URL } });
+    const flac = await harness.request('POST', '/download-mp3', { uid: 'user-6', body: { url: TRACK_URL, format: 'flac' } });
+    assert.equal(mp3.body.merged, false);
+    assert.equal(flac.body.merged, false);
+    assert.notEqual(mp3.body.jobId, flac.body.jobId);
+
+    assert.equal((await harness.waitForJob(mp3.body.jobId)).state, 'done');
+    assert.equal((await harness.waitForJob(flac.body.jobId)).state, 'done');
+    assert.equal(ytdlpCalls().length, 2);
+    assert.ok(harness.storage.files.has(`audio/${hash}.mp3`));
+    assert.ok(harness.storage.files.has(`audio/${hash}.lossless.flac`));
+    const record = JSON.parse(harness.storage.files.get(`audio/${hash}.json`).data);
+    assert.deepEqual(Object.keys(record.variants).sort(), ['flac-lossless', 'mp3-default']);
+});
+
+test('a processed track is described by GET /tracks/:hash with every variant', async () => {
+    setYtDlpScenarios([{
+        match: TRACK_URL,
+        info: { ...trackInfo, release_date: '20190314', track_number: 3, thumbnails: [{ url: 'small.jpg' }, { url: 'large.jpg' }] }
+    }]);
+    const hash = hashOf(TRACK_URL);
+    for (const body of [{ url: TRACK_URL }, { url: TRACK_URL, format: 'm4a', quality: '256k' }]) {
+        const queued = await harness.request('POST', '/download-mp3', { uid: 'user-7', body });
+        assert.equal((await harness.waitForJob(queued.body.jobId)).state, 'done');
+    }
+
+    const { status, body } = await harness.request('GET', `/tracks/${hash}`);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    const { track } = body;
+    assert.equal(track.hash, hash);
+    assert.equal(track.title, 'First Track');
+    assert.equal(track.artist, 'Artist');
+    assert.equal(track.album, 'Debut');
+    assert.equal(track.year, 2019);
+    assert.equal(track.trackNumber, 3);
+    assert.equal(track.duration, 201);
+    assert.equal(track.thumbnail, 'large.jpg');
+    assert.equal(track.extractor, 'Soundcloud');
+    assert.equal(track.sourceUrl, TRACK_URL);
+    assert.deepEqual(Object.keys(track.variants).sort(), ['m4a-256k', 'mp3-default']);
+    const { format, quality, storageKey } = track.variants['m4a-256k'];
+    assert.deepEqual({ format, quality, storageKey }, { format: 'm4a', quality: '256k', storageKey: `audio/${hash}.256k.m4a` });
+    assert.equal(track.variants['mp3-default'].storageKey, `audio/${hash}.mp3`);
+});
+
+test('GET /tracks/:hash answers 400 for a malformed hash and 404 for a track not processed', async () => {
+    for (const hash of ['not-a-hash', 'A'.repeat(32), 'a'.repeat(31), `${'a'.repeat(32)}.json`]) {
+        const { status, body } = await harness.request('GET', `/tracks/${encodeURIComponent(hash)}`);
+        assert.equal(status, 400, hash);
+        assert.equal(body.message, 'Invalid track hash.');
+    }
+    const missing = await harness.request('GET', `/tracks/${'a'.repeat(32)}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.success, false);
+});
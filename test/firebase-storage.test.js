@@ -0,0 +1,44 @@
+// test/firebase-storage.test.js - Files in Firebase Storage stay private and get short-lived URLs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFirebaseStorage } from '../storage/firebase-storage.js';
+
+// Records what the backend asks of the bucket
+function createFakeBucket() {
+    const calls = { upload: [], getSignedUrl: [] };
+    return {
+        calls,
+        async upload(localPath, options) {
+            calls.upload.push({ localPath, options });
+        },
+        file(key) {
+            return {
+                async getSignedUrl(options) {
+                    calls.getSignedUrl.push({ key, options });
+                    return [`https://storage.example/${key}?signature=x`];
+                }
+            };
+        }
+    };
+}
+
+test('uploads are not made public', async () => {
+    const bucket = createFakeBucket();
+    const storage = createFirebaseStorage({ bucket, signedUrlTtlMs: 60 * 1000 });
+    await storage.upload('/tmp/track.mp3', 'audio/abc.mp3', { contentType: 'audio/mpeg' });
+    const [{ options }] = bucket.calls.upload;
+    assert.equal(options.destination, 'audio/abc.mp3');
+    assert.equal(options.metadata.contentType, 'audio/mpeg');
+    assert.equal('public' in options, false);
+});
+
+test('URLs are signed for the configured time only', async () => {
+    const bucket = createFakeBucket();
+    const storage = createFirebaseStorage({ bucket, signedUrlTtlMs: 15 * 60 * 1000 });
+    const before = Date.now();
+    assert.equal(await storage.getUrl('audio/abc.mp3'), 'https://storage.example/audio/abc.mp3?signature=x');
+    const [{ options }] = bucket.calls.getSignedUrl;
+    assert.equal(options.action, 'read');
+    assert.ok(options.expires >= before + 15 * 60 * 1000);
+    assert.ok(options.expires <= Date.now() + 15 * 60 * 1000);
+});
@@ -0,0 +1,60 @@
+// test/health.test.js - What /healthz, /readyz and /metrics show with and without the metrics token
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp } from './helpers/harness.js';
+
+const METRICS_TOKEN = 'scrape-secret';
+const withToken = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp({ env: { METRICS_TOKEN, MIN_FREE_DISK_MB: '100000000' } });
+});
+
+after(async () => {
+    await harness.close();
+});
+
+test('public health checks only show the status of each dependency', async () => {
+    for (const urlPath of ['/healthz', '/readyz']) {
+        const { body } = await harness.request('GET', urlPath);
+        assert.equal(body.checks.disk.status, 'fail', urlPath);
+        for (const check of Object.values(body.checks)) {
+            assert.deepEqual(Object.keys(check), ['status'], urlPath);
+        }
+        assert.ok(!JSON.stringify(body).includes(harness.audioDir), urlPath);
+    }
+});
+
+test('the metrics token shows every detail of the health checks', async () => {
+    const { body } = await harness.request('GET', '/healthz', withToken(METRICS_TOKEN));
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.checks.disk.path, harness.audioDir);
+    assert.equal(typeof body.checks.disk.freeBytes, 'number');
+
+    const wrong = await harness.request('GET', '/healthz', withToken('guess'));
+    assert.deepEqual(wrong.body.checks.disk, { status: 'fail' });
+});
+
+test('metrics are only served for the metrics token', async () => {
+    const anonymous = await harness.request('GET', '/metrics');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.success, false);
+    assert.equal((await harness.request('GET', '/metrics', withToken('guess'))).status, 401);
+
+    const scraped = await harness.request('GET', '/metrics', withToken(METRICS_TOKEN));
+    assert.equal(scraped.status, 200);
+    assert.match(scraped.body, /^# HELP ytdlp_failures_total /m);
+});
+
+test('metrics are off without a configured token', async () => {
+    const unconfigured = await createTestApp();
+    try {
+        const { status, body } = await unconfigured.request('GET', '/metrics', withToken('anything'));
+        assert.equal(status, 404);
+        assert.match(body.message, /METRICS_TOKEN/);
+    } finally {
+        await unconfigured.close();
+    }
+});
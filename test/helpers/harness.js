@@ -0,0 +1,127 @@
+// test/helpers/harness.js - Boots the app for tests, offline
+// yt-dlp is replaced by test/fixtures/bin/yt-dlp (put first on the PATH when this module is
+// loaded), Redis and storage by in-memory doubles, and Firebase Auth by a stand-in that accepts
+// "Bearer test-token:<uid>". Requests are handed to the app in-process (light-my-request), so
+// no port is ever opened.
+// Set TEST_LOGS=1 to see the app's log output.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import inject from 'light-my-request';
+import { loadConfig } from '../../config.js';
+import { createApp } from '../../app.js';
+import { createMemoryRedis } from './memory-redis.js';
+import { createMemoryStorage } from './memory-storage.js';
+
+const FAKE_BIN_DIR = fileURLToPath(new URL('../fixtures/bin', import.meta.url));
+const CALLS_FILE = path.join(os.tmpdir(), `music-backend-test-${process.pid}-yt-dlp-calls.jsonl`);
+const TOKEN_PREFIX = 'test-token:';
+
+process.env.PATH = `${FAKE_BIN_DIR}${path.delimiter}${process.env.PATH}`;
+process.env.FAKE_YTDLP_CALLS = CALLS_FILE;
+process.env.FAKE_YTDLP_SCENARIOS = '[]';
+
+if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+/**
+ * Sets what the fake yt-dlp does from now on (see test/fixtures/bin/yt-dlp for the scenario format)
+ * and forgets the calls made so far.
+ */
+export function setYtDlpScenarios(scenarios) {
+    process.env.FAKE_YTDLP_SCENARIOS = JSON.stringify(scenarios);
+    fs.rmSync(CALLS_FILE, { force: true });
+}
+
+/**
+ * The argument arrays of every yt-dlp call since the scenarios were last set.
+ */
+export function ytdlpCalls() {
+    if (!fs.existsSync(CALLS_FILE)) {
+        return [];
+    }
+    return fs.readFileSync(CALLS_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Stand-in for admin.auth().verifyIdToken
+async function verifyIdToken(token) {
+    if (!token.startsWith(TOKEN_PREFIX)) {
+        throw new Error('Not a test token');
+    }
+    return { uid: token.slice(TOKEN_PREFIX.length), email: null };
+}
+
+/**
+ * Creates the app with in-memory Redis and storage.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Settings (as environment variables, see config.js) on top of the defaults
+ * @param {Function|null} [options.verifyIdToken] - Replaces the test-token stand-in; null runs the
+ *   app without authentication, as when the Firebase Admin SDK is not initialized
+ * @returns {Promise<object>} { storage, redis, audioDir, request, waitForJob, close }
+ */
+export async function createTestApp({ env = {}, verifyIdToken: verifier = verifyIdToken } = {}) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-backend-test-'));
+    const config = loadConfig({ STORAGE_BACKEND: 'local', ...env });
+    const storage = createMemoryStorage();
+    const redis = createMemoryRedis();
+    const { app } = createApp({ config, storage, redisClient: redis, verifyIdToken: verifier, audioDir: tempDir });
+
+    /**
+     * Sends a request to the app. With uid it is signed in as that user; headers are sent as given.
+     * Resolves with { status, headers, body } where body is the parsed JSON (or the text), or
+     * with raw set the response body as a Buffer. Aborting signal disconnects the client.
+     */
+    async function request(method, urlPath, { body, uid, headers: extraHeaders = {}, raw = false, signal } = {}) {
+        const headers = { ...extraHeaders };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (uid) {
+            headers.Authorization = `Bearer ${TOKEN_PREFIX}${uid}`;
+        }
+        const response = await inject(app, {
+            method,
+            url: urlPath,
+            headers,
+            payload: body === undefined ? undefined : JSON.stringify(body),
+            signal
+        });
+        if (raw) {
+            return { status: response.statusCode, headers: response.headers, body: response.rawPayload };
+        }
+        let parsed = response.payload;
+        try {
+            parsed = JSON.parse(response.payload);
+        } catch {
+            // Not JSON; the text is returned as it is
+        }
+        return { status: response.statusCode, headers: response.headers, body: parsed };
+    }
+
+    /**
+     * Polls GET /jobs/:id until the download job is done or failed; resolves with the job.
+     */
+    async function waitForJob(jobId, { timeoutMs = 5000 } = {}) {
+        const giveUpAt = Date.now() + timeoutMs;
+        while (Date.now() < giveUpAt) {
+            const { body } = await request('GET', `/jobs/${jobId}`);
+            if (body.job.state === 'done' || body.job.state === 'failed') {
+                return body.job;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Job ${jobId} did not finish within ${timeoutMs} ms`);
+    }
+
+    async function close() {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+        fs.rmSync(CALLS_FILE, { force: true });
+    }
+
+    return { storage, redis, audioDir: tempDir, request, waitForJob, close };
+}
@@ -0,0 +1,229 @@
+// test/helpers/memory-redis.js - In-memory stand-in for the node-redis client
+// Implements the commands the backend uses, with node-redis v5 signatures and replies.
+// EVAL runs the script (see redis-lua.js) with the commands the backend's scripts call.
+import { runLuaScript } from './redis-lua.js';
+
+// Turns a Redis glob pattern (*, ?, [...] and \-escapes) into a RegExp
+function globToRegExp(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '\\' && index + 1 < pattern.length) {
+            source += pattern[++index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', index);
+            source += pattern.slice(index, end + 1);
+            index = end;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates an in-memory Redis client. Set isReady to false to simulate a lost connection.
+ */
+export function createMemoryRedis() {
+    // key -> { value, expiresAt }; value is a string, Map (hash), Set or Map of member -> score (sorted set)
+    const entries = new Map();
+
+    function entry(key) {
+        const found = entries.get(key);
+        if (found && found.expiresAt !== null && found.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return found || null;
+    }
+
+    function valueOf(key, create) {
+        const found = entry(key);
+        if (found) {
+            return found.value;
+        }
+        if (!create) {
+            return null;
+        }
+        const value = create();
+        entries.set(key, { value, expiresAt: null });
+        return value;
+    }
+
+    const toArray = value => (Array.isArray(value) ? value : [value]);
+
+    // redis.call inside scripts; runs synchronously, as scripts are atomic
+    function scriptCommand(command, [key, ...args]) {
+        switch (command) {
+        case 'TIME': {
+            const now = Date.now();
+            return [String(Math.floor(now / 1000)), String((now % 1000) * 1000)];
+        }
+        case 'GET': {
+            const value = valueOf(key);
+            return typeof value === 'string' ? value : null;
+        }
+        case 'SET':
+            entries.set(key, { value: args[0], expiresAt: null });
+            return 'OK';
+        case 'HMGET': {
+            const hash = valueOf(key);
+            return args.map(field => hash?.get(field) ?? null);
+        }
+        case 'HSET': {
+            const hash = valueOf(key, () => new Map());
+            let added = 0;
+            for (let index = 0; index < args.length; index += 2) {
+                added += hash.has(args[index]) ? 0 : 1;
+                hash.set(args[index], args[index + 1]);
+            }
+            return added;
+        }
+        case 'PEXPIRE': {
+            const found = entry(key);
+            if (!found) {
+                return 0;
+            }
+            found.expiresAt = Date.now() + Number(args[0]);
+            return 1;
+        }
+        case 'SADD': {
+            const set = valueOf(key, () => new Set());
+            return args.filter(member => !set.has(member) && set.add(member)).length;
+        }
+        default:
+            throw new Error(`${command} is not supported in scripts by the in-memory Redis client`);
+        }
+    }
+
+    const client = {
+        isReady: true,
+        isOpen: true,
+
+        async ping() {
+            return 'PONG';
+        },
+
+        async get(key) {
+            const value = valueOf(key);
+            return typeof value === 'string' ? value : null;
+        },
+
+        async mGet(keys) {
+            return Promise.all(keys.map(key => client.get(key)));
+        },
+
+        async set(key, value, options = {}) {
+            if (options.NX && entry(key)) {
+                return null;
+            }
+            entries.set(key, { value: String(value), expiresAt: options.EX ? Date.now() + options.EX * 1000 : null });
+            return 'OK';
+        },
+
+        async del(keys) {
+            return toArray(keys).filter(key => entry(key) && entries.delete(key)).length;
+        },
+
+        async hGet(key, field) {
+            return valueOf(key)?.get(field) ?? null;
+        },
+
+        async hGetAll(key) {
+            return Object.fromEntries(valueOf(key) || []);
+        },
+
+        async hSetNX(key, field, value) {
+            const hash = valueOf(key, () => new Map());
+            if (hash.has(field)) {
+                return 0;
+            }
+            hash.set(field, String(value));
+            return 1;
+        },
+
+        async hDel(key, fields) {
+            const hash = valueOf(key);
+            return hash ? toArray(fields).filter(field => hash.delete(field)).length : 0;
+        },
+
+        async sAdd(key, members) {
+            const set = valueOf(key, () => new Set());
+            return toArray(members).filter(member => !set.has(member) && set.add(member)).length;
+        },
+
+        async sRem(key, members) {
+            const set = valueOf(key);
+            return set ? toArray(members).filter(member => set.delete(member)).length : 0;
+        },
+
+        async sMembers(key) {
+            return [...(valueOf(key) || [])];
+        },
+
+        async zAdd(key, members) {
+            const scores = valueOf(key, () => new Map());
+            let added = 0;
+            for (const { score, value } of toArray(members)) {
+                added += scores.has(value) ? 0 : 1;
+                scores.set(value, score);
+            }
+            return added;
+        },
+
+        async zRangeWithScores(key, start, stop) {
+            const sorted = [...(valueOf(key) || [])]
+                .map(([value, score]) => ({ value, score }))
+                .sort((a, b) => a.score - b.score);
+            return sorted.slice(start, stop === -1 ? undefined : stop + 1);
+        },
+
+        async zRem(key, members) {
+            const scores = valueOf(key);
+            return scores ? toArray(members).filter(member => scores.delete(member)).length : 0;
+        },
+
+        async *scanIterator({ MATCH = '*' } = {}) {
+            const pattern = globToRegExp(MATCH);
+            yield [...entries.keys()].filter(key => entry(key) && pattern.test(key));
+        },
+
+        multi() {
+            const queued = [];
+            const chain = new Proxy({}, {
+                get(target, command) {
+                    if (command === 'exec') {
+                        return async () => {
+                            const replies = [];
+                            for (const [name, commandArgs] of queued) {
+                                replies.push(await client[name](...commandArgs));
+                            }
+                            return replies;
+                        };
+                    }
+                    return (...commandArgs) => {
+                        queued.push([command, commandArgs]);
+                        return chain;
+                    };
+                }
+            });
+            return chain;
+        },
+
+        async eval(script, { keys = [], arguments: args = [] } = {}) {
+            return runLuaScript(script, { keys, args, call: scriptCommand });
+        },
+
+        /**
+         * Every key currently stored (for assertions).
+         */
+        keys() {
+            return [...entries.keys()].filter(key => entry(key));
+        }
+    };
+    return client;
+}
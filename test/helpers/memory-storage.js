@@ -0,0 +1,60 @@
+// test/helpers/memory-storage.js - In-memory storage backend (the interface of storage/index.js)
+import fs from 'fs';
+import { Readable } from 'stream';
+
+/**
+ * Creates a storage backend that keeps every file in a Map.
+ * files is exposed so tests can look at and prepare what is stored.
+ */
+export function createMemoryStorage() {
+    // key -> { data: Buffer, contentType, lastModified }
+    const files = new Map();
+
+    return {
+        name: 'memory',
+        files,
+
+        async exists(key) {
+            return files.has(key);
+        },
+
+        async upload(localPath, key, { contentType } = {}) {
+            files.set(key, { data: await fs.promises.readFile(localPath), contentType: contentType || null, lastModified: new Date() });
+        },
+
+        async write(key, data, { contentType } = {}) {
+            files.set(key, { data: Buffer.from(data), contentType: contentType || null, lastModified: new Date() });
+        },
+
+        async read(key) {
+            return files.has(key) ? files.get(key).data : null;
+        },
+
+        async stat(key) {
+            const file = files.get(key);
+            return file ? { size: file.data.length, etag: null, lastModified: file.lastModified } : null;
+        },
+
+        async openReadStream(key, { start = 0, end } = {}) {
+            const file = files.get(key);
+            if (!file) {
+                throw new Error(`No such file: ${key}`);
+            }
+            return Readable.from([file.data.subarray(start, end === undefined ? undefined : end + 1)]);
+        },
+
+        async getUrl(key) {
+            return `memory://${key}`;
+        },
+
+        async delete(key) {
+            files.delete(key);
+        },
+
+        async list(prefix) {
+            return [...files.entries()]
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, file]) => ({ key, size: file.data.length, lastModified: file.lastModified }));
+        }
+    };
+}
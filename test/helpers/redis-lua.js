@@ -0,0 +1,106 @@
+// test/helpers/redis-lua.js - Runs the backend's Lua scripts for the in-memory Redis client
+// Scripts run in fengari (Lua in JavaScript) with KEYS, ARGV, redis.call and cjson.decode,
+// and their values are converted the way Redis converts them: Lua numbers become integers,
+// tables arrays, false and nil null.
+import fengari from 'fengari';
+
+const { lua, lauxlib, lualib, to_luastring: toLuaString, to_jsstring: toJsString } = fengari;
+
+// Pushes a JavaScript value (the reply of a command, or decoded JSON) onto the Lua stack
+function pushValue(L, value) {
+    if (value === null || value === undefined) {
+        lua.lua_pushboolean(L, false);
+    } else if (typeof value === 'number') {
+        lua.lua_pushnumber(L, value);
+    } else if (typeof value === 'boolean') {
+        lua.lua_pushboolean(L, value);
+    } else if (Array.isArray(value)) {
+        lua.lua_createtable(L, value.length, 0);
+        value.forEach((item, index) => {
+            pushValue(L, item);
+            lua.lua_rawseti(L, -2, index + 1);
+        });
+    } else if (typeof value === 'object') {
+        lua.lua_createtable(L, 0, 0);
+        for (const [key, item] of Object.entries(value)) {
+            pushValue(L, item);
+            lua.lua_setfield(L, -2, toLuaString(key));
+        }
+    } else {
+        lua.lua_pushstring(L, toLuaString(String(value)));
+    }
+}
+
+// Reads the Lua value at the given stack index as Redis would reply with it
+function readValue(L, index) {
+    switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+        return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+        return toJsString(lua.lua_tostring(L, index));
+    case lua.LUA_TBOOLEAN:
+        return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+        const absolute = lua.lua_absindex(L, index);
+        const items = [];
+        for (let item = 1; lua.lua_rawgeti(L, absolute, item) !== lua.LUA_TNIL; item++) {
+            items.push(readValue(L, -1));
+            lua.lua_pop(L, 1);
+        }
+        lua.lua_pop(L, 1);
+        return items;
+    }
+    default:
+        return null;
+    }
+}
+
+/**
+ * Runs a Lua script like EVAL does.
+ *
+ * @param {string} script
+ * @param {object} options
+ * @param {string[]} options.keys - KEYS
+ * @param {string[]} options.args - ARGV
+ * @param {Function} options.call - (command, args) => reply, run for redis.call (synchronously)
+ */
+export function runLuaScript(script, { keys, args, call }) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    pushValue(L, keys);
+    lua.lua_setglobal(L, toLuaString('KEYS'));
+    pushValue(L, args);
+    lua.lua_setglobal(L, toLuaString('ARGV'));
+
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, state => {
+        const commandArgs = [];
+        for (let index = 1; index <= lua.lua_gettop(state); index++) {
+            commandArgs.push(toJsString(lauxlib.luaL_tolstring(state, index)));
+            lua.lua_pop(state, 1);
+        }
+        const [command, ...rest] = commandArgs;
+        try {
+            pushValue(state, call(command.toUpperCase(), rest));
+        } catch (error) {
+            return lauxlib.luaL_error(state, toLuaString(error.message));
+        }
+        return 1;
+    });
+    lua.lua_setfield(L, -2, toLuaString('call'));
+    lua.lua_setglobal(L, toLuaString('redis'));
+
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushcfunction(L, state => {
+        pushValue(state, JSON.parse(toJsString(lauxlib.luaL_checkstring(state, 1))));
+        return 1;
+    });
+    lua.lua_setfield(L, -2, toLuaString('decode'));
+    lua.lua_setglobal(L, toLuaString('cjson'));
+
+    if (lauxlib.luaL_loadstring(L, toLuaString(script)) !== lua.LUA_OK
+        || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+        throw new Error(`Lua script failed: ${toJsString(lua.lua_tostring(L, -1))}`);
+    }
+    return readValue(L, -1);
+}
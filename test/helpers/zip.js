@@ -0,0 +1,34 @@
+// test/helpers/zip.js - Reads the entries of a ZIP file written with stored (uncompressed) entries,
+// as the album bundles are, from its central directory.
+
+/**
+ * Lists the entries of a ZIP in archive order.
+ *
+ * @param {Buffer} zip - The whole ZIP file
+ * @returns {object[]} [{ name, data: Buffer }]
+ */
+export function readStoredZip(zip) {
+    const endOfDirectory = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOfDirectory === -1) {
+        throw new Error('Not a ZIP file');
+    }
+    const entryCount = zip.readUInt16LE(endOfDirectory + 10);
+    let offset = zip.readUInt32LE(endOfDirectory + 16);
+    const entries = [];
+    for (let index = 0; index < entryCount; index++) {
+        const method = zip.readUInt16LE(offset + 10);
+        const size = zip.readUInt32LE(offset + 20);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const extraLength = zip.readUInt16LE(offset + 30);
+        const commentLength = zip.readUInt16LE(offset + 32);
+        const localHeader = zip.readUInt32LE(offset + 42);
+        const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+        if (method !== 0) {
+            throw new Error(`Entry ${name} is compressed`);
+        }
+        const dataStart = localHeader + 30 + zip.readUInt16LE(localHeader + 26) + zip.readUInt16LE(localHeader + 28);
+        entries.push({ name, data: zip.subarray(dataStart, dataStart + size) });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
@@ -0,0 +1,106 @@
+// test/library.test.js - Sign-in (auth.js) and the per-user libraries of GET/POST/DELETE /library
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestApp } from './helpers/harness.js';
+
+const FIRST_URL = 'https://soundcloud.com/artist/first-track';
+const hashOf = url => crypto.createHash('md5').update(url).digest('hex');
+const FIRST = hashOf(FIRST_URL);
+const SECOND = 'b'.repeat(32);
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp();
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(async () => {
+    harness.storage.files.clear();
+    for (const [hash, title] of [[FIRST, 'First Track'], [SECOND, 'Second Track']]) {
+        await harness.storage.write(`audio/${hash}.json`, JSON.stringify({ hash, title, artist: 'Artist', thumbnail: null, variants: {} }));
+    }
+});
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('signed-in routes answer 401 without a token or with an invalid one', async () => {
+    const missing = await harness.request('GET', '/library');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers['www-authenticate'], 'Bearer');
+    assert.equal(missing.body.success, false);
+
+    const invalid = await harness.request('POST', '/library', { body: { hash: FIRST }, headers: { Authorization: 'Bearer forged' } });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.headers['www-authenticate'], 'Bearer error="invalid_token"');
+
+    const notBearer = await harness.request('DELETE', `/library/${FIRST}`, { headers: { Authorization: 'Basic dXNlcjpwYXNz' } });
+    assert.equal(notBearer.status, 401);
+});
+
+test('optional sign-in lets anonymous requests through but rejects an invalid token', async () => {
+    const missingPlaylist = '/playlists/00000000-0000-0000-0000-000000000000';
+    assert.equal((await harness.request('GET', missingPlaylist)).status, 404);
+    assert.equal((await harness.request('GET', missingPlaylist, { uid: 'user-1' })).status, 404);
+    assert.equal((await harness.request('GET', missingPlaylist, { headers: { Authorization: 'Bearer forged' } })).status, 401);
+});
+
+test('without a token verifier signed-in routes answer 503 and optional sign-in is skipped', async () => {
+    const unauthenticated = await createTestApp({ verifyIdToken: null });
+    try {
+        const response = await unauthenticated.request('GET', '/library', { uid: 'user-1' });
+        assert.equal(response.status, 503);
+        assert.match(response.body.message, /Authentication is not available/);
+
+        const playlist = await unauthenticated.request('GET', '/playlists/00000000-0000-0000-0000-000000000000', { uid: 'user-1' });
+        assert.equal(playlist.status, 404);
+    } finally {
+        await unauthenticated.close();
+    }
+});
+
+test('tracks are added, listed newest first and removed', async () => {
+    const added = await harness.request('POST', '/library', { uid: 'user-1', body: { url: FIRST_URL } });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.entry.hash, FIRST);
+    assert.equal(added.body.entry.track.title, 'First Track');
+    assert.equal(added.body.entry.streamUrl, `/stream/${FIRST}`);
+    await pause(5);
+    assert.equal((await harness.request('POST', '/library', { uid: 'user-1', body: { hash: SECOND } })).status, 201);
+
+    const again = await harness.request('POST', '/library', { uid: 'user-1', body: { hash: FIRST } });
+    assert.equal(again.body.entry.addedAt, added.body.entry.addedAt);
+
+    const listed = await harness.request('GET', '/library', { uid: 'user-1' });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.tracks.map(entry => entry.hash), [SECOND, FIRST]);
+    assert.equal(listed.body.tracks[0].track.title, 'Second Track');
+
+    const removed = await harness.request('DELETE', `/library/${FIRST}`, { uid: 'user-1' });
+    assert.deepEqual(removed.body, { success: true, removed: FIRST });
+    assert.equal((await harness.request('DELETE', `/library/${FIRST}`, { uid: 'user-1' })).status, 404);
+    const remaining = await harness.request('GET', '/library', { uid: 'user-1' });
+    assert.deepEqual(remaining.body.tracks.map(entry => entry.hash), [SECOND]);
+});
+
+test('a user never sees or changes another user\'s library', async () => {
+    await harness.request('POST', '/library', { uid: 'owner', body: { hash: FIRST } });
+    await harness.request('POST', '/library', { uid: 'other', body: { hash: SECOND } });
+
+    assert.deepEqual((await harness.request('GET', '/library', { uid: 'owner' })).body.tracks.map(entry => entry.hash), [FIRST]);
+    assert.deepEqual((await harness.request('GET', '/library', { uid: 'other' })).body.tracks.map(entry => entry.hash), [SECOND]);
+
+    assert.equal((await harness.request('DELETE', `/library/${FIRST}`, { uid: 'other' })).status, 404);
+    assert.deepEqual((await harness.request('GET', '/library', { uid: 'owner' })).body.tracks.map(entry => entry.hash), [FIRST]);
+});
+
+test('only processed tracks can be added, by a valid hash or URL', async () => {
+    assert.equal((await harness.request('POST', '/library', { uid: 'user-1', body: {} })).status, 400);
+    assert.equal((await harness.request('POST', '/library', { uid: 'user-1', body: { hash: 'not-a-hash' } })).status, 400);
+    assert.equal((await harness.request('POST', '/library', { uid: 'user-1', body: { hash: 'c'.repeat(32) } })).status, 404);
+    assert.equal((await harness.request('DELETE', '/library/not-a-hash', { uid: 'user-1' })).status, 400);
+});
@@ -0,0 +1,87 @@
+// test/local-storage.test.js - The local filesystem storage backend keeps to its directory
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { text } from 'stream/consumers';
+import { createLocalStorage } from '../storage/local-storage.js';
+
+let tempDir;
+let rootDir;
+let storage;
+
+beforeEach(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-backend-local-storage-'));
+    rootDir = path.join(tempDir, 'root');
+    storage = createLocalStorage({ rootDir });
+});
+
+afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+test('files are written, uploaded, read and deleted under their keys', async () => {
+    await storage.write('audio/abc.json', '{"title":"A"}');
+    const localPath = path.join(tempDir, 'download.mp3');
+    await fs.promises.writeFile(localPath, 'audio bytes');
+    await storage.upload(localPath, 'audio/abc.mp3', { contentType: 'audio/mpeg' });
+
+    assert.equal(await fs.promises.readFile(path.join(rootDir, 'audio', 'abc.mp3'), 'utf8'), 'audio bytes');
+    assert.equal((await storage.read('audio/abc.json')).toString(), '{"title":"A"}');
+    assert.equal(await storage.exists('audio/abc.mp3'), true);
+
+    await storage.delete('audio/abc.mp3');
+    await storage.delete('audio/abc.mp3');
+    assert.equal(await storage.exists('audio/abc.mp3'), false);
+    assert.equal(await storage.read('audio/abc.mp3'), null);
+});
+
+test('stat and openReadStream describe and stream the file or a byte range of it', async () => {
+    await storage.write('audio/abc.mp3', 'abcdefghij');
+
+    const stats = await storage.stat('audio/abc.mp3');
+    assert.equal(stats.size, 10);
+    assert.equal(stats.etag, null);
+    assert.ok(stats.lastModified instanceof Date);
+    assert.equal(await storage.stat('audio/missing.mp3'), null);
+
+    assert.equal(await text(await storage.openReadStream('audio/abc.mp3')), 'abcdefghij');
+    assert.equal(await text(await storage.openReadStream('audio/abc.mp3', { start: 2, end: 5 })), 'cdef');
+});
+
+test('keys that would leave the directory are rejected', async () => {
+    await fs.promises.writeFile(path.join(tempDir, 'outside.txt'), 'secret');
+    for (const key of ['../outside.txt', 'audio/../../outside.txt', path.join(tempDir, 'outside.txt'), '', '.']) {
+        await assert.rejects(storage.read(key), /Invalid storage key/, key);
+        await assert.rejects(storage.write(key, 'x'), /Invalid storage key/, key);
+        await assert.rejects(storage.stat(key), /Invalid storage key/, key);
+        await assert.rejects(storage.openReadStream(key), /Invalid storage key/, key);
+        await assert.rejects(storage.delete(key), /Invalid storage key/, key);
+    }
+    await assert.rejects(storage.list('../'), /Invalid storage key/);
+    assert.equal(await fs.promises.readFile(path.join(tempDir, 'outside.txt'), 'utf8'), 'secret');
+});
+
+test('list finds files in nested directories by key prefix', async () => {
+    await storage.write('audio/abc.mp3', '12345');
+    await storage.write('audio/abc.320k.opus', '123');
+    await storage.write('audio/nested/deep/def.json', '1');
+    await storage.write('albums/ghi.zip', '12');
+
+    const byKey = files => files.map(({ key, size }) => ({ key, size })).sort((a, b) => a.key.localeCompare(b.key));
+    assert.deepEqual(byKey(await storage.list('audio/')), [
+        { key: 'audio/abc.320k.opus', size: 3 },
+        { key: 'audio/abc.mp3', size: 5 },
+        { key: 'audio/nested/deep/def.json', size: 1 }
+    ]);
+    assert.deepEqual(byKey(await storage.list('audio/abc.')).map(file => file.key), ['audio/abc.320k.opus', 'audio/abc.mp3']);
+    assert.equal((await storage.list('')).length, 4);
+    assert.ok((await storage.list('audio/')).every(file => file.lastModified instanceof Date));
+    assert.deepEqual(await storage.list('missing/'), []);
+});
+
+test('files have no URL of their own', async () => {
+    await storage.write('audio/abc.mp3', 'audio');
+    assert.equal(await storage.getUrl('audio/abc.mp3'), null);
+});
@@ -0,0 +1,227 @@
+// test/lyrics.test.js - Lyrics parsing and /tracks/:hash/lyrics against the fake yt-dlp
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { parseLrc, parseVtt, lyricsFromDescription, pickSubtitleFile } from '../lyrics.js';
+import { createTestApp, setYtDlpScenarios, ytdlpCalls } from './helpers/harness.js';
+
+const TRACK_URL = 'https://www.youtube.com/watch?v=aBcDeFgHiJk';
+const hash = crypto.createHash('md5').update(TRACK_URL).digest('hex');
+
+const VTT = [
+    'WEBVTT',
+    'Kind: captions',
+    'Language: en',
+    '',
+    '1',
+    '00:00:12.500 --> 00:00:15.000 align:start position:0%',
+    '♪ First <c.colorE5E5E5>line</c> &amp; more ♪',
+    '',
+    '00:00:15.000 --> 00:00:18.000',
+    'First line & more',
+    'Second line',
+    '',
+    'NOTE this block is not a cue',
+    '',
+    '00:01:02.250 --> 00:01:05.000',
+    '<v Singer>Third line</v>'
+].join('\n');
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp({ env: { RATE_LIMIT_LYRICS: 'off' } });
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(async () => {
+    setYtDlpScenarios([]);
+    harness.storage.files.clear();
+    await harness.storage.write(`audio/${hash}.json`, JSON.stringify({
+        hash,
+        title: 'Night Drive',
+        sourceUrl: TRACK_URL,
+        variants: {}
+    }));
+});
+
+test('LRC time tags, offsets and ID tags are parsed into synced lines', () => {
+    const parsed = parseLrc([
+        '[ar:Artist]',
+        '[ti:Night Drive]',
+        '[offset:+500]',
+        '[00:20.00]Second',
+        '[00:10.50][01:00.00]First and chorus',
+        '[00:30.123]<00:30.123>Word <00:31.000>by word'
+    ].join('\r\n'));
+    assert.equal(parsed.synced, true);
+    assert.deepEqual(parsed.lines, [
+        { time: 10, text: 'First and chorus' },
+        { time: 19.5, text: 'Second' },
+        { time: 29.623, text: 'Word by word' },
+        { time: 59.5, text: 'First and chorus' }
+    ]);
+});
+
+test('LRC without time tags is plain lyrics with verse breaks', () => {
+    const parsed = parseLrc('\n\nVerse one\nstill one\n\n\n\nVerse two\n\n');
+    assert.equal(parsed.synced, false);
+    assert.deepEqual(parsed.lines.map(line => line.text), ['Verse one', 'still one', '', 'Verse two']);
+    assert.ok(parsed.lines.every(line => line.time === null));
+});
+
+test('WebVTT and SRT cues lose their markup and repeated lines', () => {
+    assert.deepEqual(parseVtt(VTT).lines, [
+        { time: 12.5, text: 'First line & more' },
+        { time: 15, text: 'Second line' },
+        { time: 62.25, text: 'Third line' }
+    ]);
+    const srt = parseVtt('1\n00:00:01,000 --> 00:00:02,000\nHello\n\n2\n00:00:03,500 --> 00:00:04,000\nWorld\n');
+    assert.deepEqual(srt.lines, [{ time: 1, text: 'Hello' }, { time: 3.5, text: 'World' }]);
+});
+
+test('descriptions only give lyrics after a lyrics heading', () => {
+    assert.equal(lyricsFromDescription('Stream it everywhere: https://example.com\nOut now!'), null);
+    assert.equal(lyricsFromDescription(undefined), null);
+    const parsed = lyricsFromDescription('New single!\n\nLyrics:\nFirst line\nSecond line\n\nFollow me https://example.com\n#nightdrive');
+    assert.deepEqual(parsed.lines.map(line => line.text), ['First line', 'Second line']);
+});
+
+test('the preferred subtitle language wins, then a regional variant, then any', () => {
+    const files = ['base.de.vtt', 'base.en-US.vtt', 'base.en-US.json3', 'base.info.json', 'other.en.vtt'];
+    assert.equal(pickSubtitleFile(files, 'base', 'en').fileName, 'base.en-US.vtt');
+    assert.equal(pickSubtitleFile(files, 'base', 'de').language, 'de');
+    assert.equal(pickSubtitleFile(files, 'base', 'fr').fileName, 'base.de.vtt');
+    assert.equal(pickSubtitleFile(['base.en.json3'], 'base', 'en'), null);
+});
+
+test('lyrics are taken from subtitles once and then served from storage', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, subtitles: { 'en.vtt': VTT, 'de.vtt': 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nErste Zeile\n' } }]);
+
+    const first = await harness.request('GET', `/tracks/${hash}/lyrics`);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.cached, false);
+    assert.equal(first.body.lyrics.source, 'subtitles');
+    assert.equal(first.body.lyrics.language, 'en');
+    assert.equal(first.body.lyrics.synced, true);
+    assert.equal(first.body.lyrics.lines[0].text, 'First line & more');
+    assert.ok(harness.storage.files.has(`audio/${hash}.lyrics.json`));
+    assert.deepEqual(await fs.promises.readdir(harness.audioDir), []);
+
+    const [args] = ytdlpCalls();
+    assert.ok(args.includes('--skip-download'));
+    assert.ok(args.includes('--write-subs'));
+    assert.equal(args[args.indexOf('--sub-langs') + 1], 'en,en-.*');
+    assert.deepEqual(args.slice(-2), ['--', TRACK_URL]);
+
+    const second = await harness.request('GET', `/tracks/${hash}/lyrics?lang=de`);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.lyrics.language, 'en');
+    assert.equal(ytdlpCalls().length, 1);
+
+    const refreshed = await harness.request('GET', `/tracks/${hash}/lyrics?lang=de&refresh=true`);
+    assert.equal(refreshed.body.cached, false);
+    assert.deepEqual(refreshed.body.lyrics.lines, [{ time: 1, text: 'Erste Zeile' }]);
+    assert.equal(ytdlpCalls().length, 2);
+});
+
+test('other subtitle languages are only fetched when the preferred one is missing', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, subtitles: { 'de.vtt': 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nErste Zeile\n', 'live_chat.json': '{}' } }]);
+    const { status, body } = await harness.request('GET', `/tracks/${hash}/lyrics?lang=en`);
+    assert.equal(status, 200);
+    assert.equal(body.lyrics.language, 'de');
+
+    const [preferred, fallback] = ytdlpCalls();
+    assert.equal(preferred[preferred.indexOf('--sub-langs') + 1], 'en,en-.*');
+    assert.equal(fallback[fallback.indexOf('--sub-langs') + 1], 'all,-live_chat');
+    assert.ok(!fallback.includes('--write-info-json'));
+    assert.equal(ytdlpCalls().length, 2);
+    assert.deepEqual(await fs.promises.readdir(harness.audioDir), []);
+});
+
+test('concurrent requests share a fetch only when they ask for the same language', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, delayMs: 200, subtitles: { 'en.vtt': VTT, 'de.vtt': 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nErste Zeile\n' } }]);
+    const responses = await Promise.all(['en', 'en', 'de'].map(lang => harness.request('GET', `/tracks/${hash}/lyrics?lang=${lang}`)));
+    assert.deepEqual(responses.map(response => response.body.lyrics.language), ['en', 'en', 'de']);
+    assert.equal(ytdlpCalls().length, 2);
+    assert.deepEqual(await fs.promises.readdir(harness.audioDir), []);
+});
+
+test('fetches of a language and its regional variant keep to their own files', async () => {
+    setYtDlpScenarios([
+        // Writes its info JSON at once, and is still running when the en fetch is done
+        { match: 'en-US,en-US-.*', holdMs: 500, info: { description: 'Lyrics:\nUS line one\nUS line two' } },
+        { match: 'en,en-.*', delayMs: 200, subtitles: { 'en.vtt': VTT } }
+    ]);
+    const [regional, plain] = await Promise.all(['en-US', 'en'].map(lang => harness.request('GET', `/tracks/${hash}/lyrics?lang=${lang}&refresh=true`)));
+    assert.equal(plain.body.lyrics.source, 'subtitles');
+    assert.equal(regional.status, 200);
+    assert.equal(regional.body.lyrics.source, 'description');
+    assert.deepEqual(regional.body.lyrics.lines.map(line => line.text), ['US line one', 'US line two']);
+    assert.equal(ytdlpCalls().length, 2);
+    assert.deepEqual(await fs.promises.readdir(harness.audioDir), []);
+});
+
+test('without subtitles the description is used, and finding nothing is remembered', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, info: { description: 'Lyrics:\nFirst line\nSecond line' } }]);
+    const fromDescription = await harness.request('GET', `/tracks/${hash}/lyrics`);
+    assert.equal(fromDescription.status, 200);
+    assert.equal(fromDescription.body.lyrics.source, 'description');
+    assert.equal(fromDescription.body.lyrics.synced, false);
+
+    harness.storage.files.delete(`audio/${hash}.lyrics.json`);
+    setYtDlpScenarios([{ match: TRACK_URL, info: { description: 'Out now everywhere.' } }]);
+    const none = await harness.request('GET', `/tracks/${hash}/lyrics`);
+    assert.equal(none.status, 404);
+    assert.equal(none.body.cached, false);
+    const again = await harness.request('GET', `/tracks/${hash}/lyrics`);
+    assert.equal(again.status, 404);
+    assert.equal(again.body.cached, true);
+    assert.equal(ytdlpCalls().length, 1);
+});
+
+test('yt-dlp failures are mapped to error codes and nothing is stored', async () => {
+    setYtDlpScenarios([{ match: TRACK_URL, exitCode: 1, stderr: 'ERROR: [youtube] aBcDeFgHiJk: Private video. Sign in if you\'ve been granted access to this video\n' }]);
+    const { status, body } = await harness.request('GET', `/tracks/${hash}/lyrics`);
+    assert.equal(status, 403);
+    assert.equal(body.code, 'PRIVATE');
+    assert.equal(harness.storage.files.has(`audio/${hash}.lyrics.json`), false);
+    assert.deepEqual(await fs.promises.readdir(harness.audioDir), []);
+});
+
+test('signed-in users can upload LRC, which is not replaced by a refresh', async () => {
+    const lrc = '[00:01.00]Corrected first line\n[00:04.50]Corrected second line';
+    const anonymous = await harness.request('PUT', `/tracks/${hash}/lyrics`, { body: { lrc } });
+    assert.equal(anonymous.status, 401);
+
+    const uploaded = await harness.request('PUT', `/tracks/${hash}/lyrics`, { uid: 'user-1', body: { lrc, language: 'en' } });
+    assert.equal(uploaded.status, 200);
+    assert.equal(uploaded.body.lyrics.source, 'upload');
+    assert.equal(uploaded.body.lyrics.updatedBy, 'user-1');
+    assert.deepEqual(uploaded.body.lyrics.lines[1], { time: 4.5, text: 'Corrected second line' });
+
+    const refreshed = await harness.request('GET', `/tracks/${hash}/lyrics?refresh=true`);
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.body.cached, true);
+    assert.equal(refreshed.body.lyrics.source, 'upload');
+    assert.equal(ytdlpCalls().length, 0);
+});
+
+test('lyrics requests are validated', async () => {
+    assert.equal((await harness.request('GET', '/tracks/not-a-hash/lyrics')).status, 400);
+    assert.equal((await harness.request('GET', `/tracks/${hash}/lyrics?lang=${encodeURIComponent('en; rm')}`)).status, 400);
+    assert.equal((await harness.request('GET', `/tracks/${hash}/lyrics?refresh=yes`)).status, 400);
+    assert.equal((await harness.request('GET', `/tracks/${'0'.repeat(32)}/lyrics`)).status, 404);
+
+    const put = body => harness.request('PUT', `/tracks/${hash}/lyrics`, { uid: 'user-1', body });
+    assert.equal((await put({})).status, 400);
+    assert.equal((await put({ lrc: '[ar:Artist]\n[ti:Title]' })).status, 400);
+    assert.equal((await put({ lrc: 'x', language: 'english!' })).status, 400);
+    assert.equal((await harness.request('PUT', `/tracks/${'0'.repeat(32)}/lyrics`, { uid: 'user-1', body: { lrc: 'Line' } })).status, 404);
+    assert.equal(ytdlpCalls().length, 0);
+});
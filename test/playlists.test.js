@@ -0,0 +1,84 @@
+// test/playlists.test.js - Concurrent playlist changes are never lost
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createMemoryPlaylistStore, createRedisPlaylistStore, PlaylistConflictError
+} from '../playlist-store.js';
+import { createTestApp } from './helpers/harness.js';
+
+const trackHash = index => index.toString(16).padStart(32, '0');
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp({ env: { PLAYLIST_STORE: 'memory' } });
+});
+
+after(async () => {
+    await harness.close();
+});
+
+test('tracks added at the same time all end up in the playlist', async () => {
+    const created = await harness.request('POST', '/playlists', { uid: 'user-1', body: { name: 'Road trip' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.playlist.version, 1);
+    const { id } = created.body.playlist;
+
+    const indexes = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const added = await Promise.all(indexes.map(index =>
+        harness.request('POST', `/playlists/${id}/tracks`, { uid: 'user-1', body: { hash: trackHash(index) } })));
+    assert.ok(added.every(response => response.status === 201));
+
+    const { body } = await harness.request('GET', `/playlists/${id}`, { uid: 'user-1' });
+    assert.deepEqual(body.playlist.tracks.map(entry => entry.hash).sort(), indexes.map(trackHash));
+    assert.equal(body.playlist.version, 11);
+});
+
+test('a reorder based on an outdated playlist is refused', async () => {
+    const { body: { playlist } } = await harness.request('POST', '/playlists', { uid: 'user-1', body: { name: 'Mix' } });
+    const first = await harness.request('POST', `/playlists/${playlist.id}/tracks`, { uid: 'user-1', body: { hash: trackHash(1) } });
+    await harness.request('POST', `/playlists/${playlist.id}/tracks`, { uid: 'user-1', body: { hash: trackHash(2) } });
+
+    // Sent by a client that has not seen the second track yet
+    const reorder = await harness.request('PUT', `/playlists/${playlist.id}/order`, { uid: 'user-1', body: { entryIds: [first.body.entry.id] } });
+    assert.equal(reorder.status, 400);
+});
+
+test('the memory store refuses to save over a newer version', async () => {
+    const store = createMemoryPlaylistStore();
+    const created = await store.save({ id: 'p1', ownerUid: 'user-1', tracks: [], version: 0, updatedAt: 'a' });
+    assert.equal(created.version, 1);
+
+    const copyA = await store.get('p1');
+    const copyB = await store.get('p1');
+    assert.equal((await store.save({ ...copyA, name: 'A' })).version, 2);
+    await assert.rejects(store.save({ ...copyB, name: 'B' }), PlaylistConflictError);
+    assert.equal((await store.get('p1')).name, 'A');
+
+    // A new playlist cannot replace one that already exists under the same id
+    await assert.rejects(store.save({ id: 'p1', ownerUid: 'user-2', tracks: [], version: 0, updatedAt: 'b' }), PlaylistConflictError);
+});
+
+test('the Redis store saves through a version-checked script', async () => {
+    const evals = [];
+    let written = 1;
+    const redisClient = {
+        isReady: true,
+        async eval(script, options) {
+            evals.push(options);
+            return written;
+        }
+    };
+    const store = createRedisPlaylistStore(redisClient);
+
+    const saved = await store.save({ id: 'p1', ownerUid: 'user-1', tracks: [], version: 3, updatedAt: 'a' });
+    assert.equal(saved.version, 4);
+    const [{ keys, arguments: args }] = evals;
+    assert.deepEqual(keys, ['playlist:p1', 'playlists:user-1']);
+    assert.equal(args[0], '3');
+    assert.equal(JSON.parse(args[1]).version, 4);
+    assert.equal(args[2], 'p1');
+
+    written = 0;
+    await assert.rejects(store.save(saved), PlaylistConflictError);
+});
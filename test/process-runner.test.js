@@ -0,0 +1,40 @@
+// test/process-runner.test.js - The runner shared by yt-dlp and ffmpeg/ffprobe
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runProcess } from '../process-runner.js';
+
+const LIMITS = { timeoutMs: 5000 };
+// Runs a snippet of JavaScript in a child node process
+const runScript = (script, options = LIMITS) => runProcess(process.execPath, ['-e', script], options);
+
+test('a command that is not installed says so', async () => {
+    await assert.rejects(runProcess('music-backend-no-such-tool', ['--version'], LIMITS), error => {
+        assert.equal(error.code, 'ENOENT');
+        assert.equal(error.message, 'music-backend-no-such-tool is not installed');
+        return true;
+    });
+});
+
+test('a failure names the exit code and the last line of stderr', async () => {
+    await assert.rejects(runScript('console.error("first\\nInvalid data found"); process.exit(3)'), error => {
+        assert.match(error.message, /exited with code 3: Invalid data found$/);
+        assert.equal(error.stderr, 'first\nInvalid data found\n');
+        return true;
+    });
+});
+
+test('stderrTailBytes keeps only the end of stderr, without killing the process', async () => {
+    const { stderr } = await runScript(
+        'process.stderr.write("x".repeat(100000)); process.stderr.write("{\\"report\\":1}")',
+        { ...LIMITS, maxOutputBytes: 4096, stderrTailBytes: 1024 }
+    );
+    assert.equal(stderr.length, 1024);
+    assert.ok(stderr.endsWith('{"report":1}'));
+});
+
+test('onStdout gets the raw output instead of it being collected', async () => {
+    const chunks = [];
+    const { stdout } = await runScript('process.stdout.write(Buffer.from([0, 255, 1]))', { ...LIMITS, onStdout: chunk => chunks.push(chunk) });
+    assert.equal(stdout, '');
+    assert.deepEqual([...Buffer.concat(chunks)], [0, 255, 1]);
+});
@@ -0,0 +1,130 @@
+// test/progress.test.js - GET /progress/:hash Server-Sent Events against the fake yt-dlp
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { registry } from '../metrics.js';
+import { createTestApp, setYtDlpScenarios } from './helpers/harness.js';
+
+const hashOf = url => crypto.createHash('md5').update(url).digest('hex');
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp();
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    setYtDlpScenarios([]);
+    harness.storage.files.clear();
+});
+
+// Scenario of a download printing two progress lines and the extraction step after delayMs
+function downloadScenario(url, { delayMs = 0 } = {}) {
+    return {
+        match: url,
+        delayMs,
+        stdout: [
+            '[download]  40.0% of 3.10MiB at 2.00MiB/s ETA 00:01',
+            '[download] 100.0% of 3.10MiB at 2.00MiB/s ETA 00:00',
+            `[ExtractAudio] Destination: ${hashOf(url)}-mp3-default.mp3`,
+            ''
+        ].join('\n'),
+        info: { id: '1', title: 'Streamed Track', uploader: 'Artist', duration: 60, webpage_url: url }
+    };
+}
+
+// Splits an event stream into [{ event, data }], leaving out comment lines
+function parseEvents(text) {
+    return text.split('\n\n').filter(block => block && !block.startsWith(':')).map(block => {
+        const lines = block.split('\n');
+        return {
+            event: lines.find(line => line.startsWith('event: ')).slice('event: '.length),
+            data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice('data: '.length))
+        };
+    });
+}
+
+async function openProgressStreams() {
+    const [{ value }] = (await registry.getSingleMetric('progress_streams_open').get()).values;
+    return value;
+}
+
+test('a subscriber follows the job from its state through progress to completion', async () => {
+    const url = 'https://soundcloud.com/artist/followed';
+    setYtDlpScenarios([downloadScenario(url, { delayMs: 200 })]);
+
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url } });
+    const response = await harness.request('GET', `/progress/${hashOf(url)}`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/event-stream/);
+    assert.equal(response.headers['cache-control'], 'no-cache');
+
+    const events = parseEvents(response.body);
+    assert.deepEqual(events.map(({ event, data }) => (event === 'state' ? `state:${data.state}` : event)), [
+        'state:downloading',
+        'progress',
+        'progress',
+        'state:converting',
+        'state:uploading',
+        'complete'
+    ]);
+    assert.ok(events.every(({ data }) => data.id === queued.body.jobId));
+    assert.deepEqual(events[1].data, { id: queued.body.jobId, percent: 40, totalSize: '3.10MiB', speed: '2.00MiB/s', eta: '00:01' });
+    assert.equal(events[5].data.state, 'done');
+    assert.equal(events[5].data.title, 'Streamed Track');
+    assert.equal(events[5].data.streamUrl, `/stream/${hashOf(url)}?format=mp3&quality=default`);
+    assert.equal(await openProgressStreams(), 0);
+});
+
+test('a subscriber that connects after the job finished gets its final event at once', async () => {
+    const url = 'https://soundcloud.com/artist/finished';
+    setYtDlpScenarios([downloadScenario(url)]);
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url } });
+    await harness.waitForJob(queued.body.jobId);
+
+    const response = await harness.request('GET', `/progress/${hashOf(url)}`);
+    const events = parseEvents(response.body);
+    assert.deepEqual(events.map(({ event }) => event), ['state', 'complete']);
+    assert.equal(events[0].data.state, 'done');
+    assert.equal(events[1].data.title, 'Streamed Track');
+
+    const failedUrl = 'https://soundcloud.com/artist/failed';
+    setYtDlpScenarios([{ match: failedUrl, exitCode: 1, stderr: 'ERROR: [soundcloud] artist/failed: This track is private\n' }]);
+    const failedJob = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url: failedUrl } });
+    await harness.waitForJob(failedJob.body.jobId);
+    const failed = parseEvents((await harness.request('GET', `/progress/${hashOf(failedUrl)}`)).body);
+    assert.deepEqual(failed.map(({ event }) => event), ['state', 'failed']);
+    assert.equal(failed[1].data.errorCode, 'PRIVATE');
+});
+
+test('a subscriber that disconnects is unsubscribed', async () => {
+    const url = 'https://soundcloud.com/artist/abandoned';
+    setYtDlpScenarios([downloadScenario(url, { delayMs: 300 })]);
+    const queued = await harness.request('POST', '/download-mp3', { uid: 'user-1', body: { url } });
+
+    const controller = new AbortController();
+    const streaming = harness.request('GET', `/progress/${hashOf(url)}`, { signal: controller.signal }).catch(error => error);
+    await pause(50);
+    assert.equal(await openProgressStreams(), 1);
+
+    controller.abort();
+    await streaming;
+    assert.equal(await openProgressStreams(), 0);
+
+    const job = await harness.waitForJob(queued.body.jobId);
+    assert.equal(job.state, 'done');
+    assert.equal(await openProgressStreams(), 0);
+});
+
+test('a malformed hash, an unknown job or an unknown format is rejected', async () => {
+    const bad = await harness.request('GET', '/progress/not-a-hash');
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.message, 'Invalid track hash.');
+    assert.equal((await harness.request('GET', `/progress/${'f'.repeat(32)}`)).status, 404);
+    assert.equal((await harness.request('GET', `/progress/${'f'.repeat(32)}?format=wav`)).status, 400);
+});
@@ -0,0 +1,87 @@
+// test/rate-limit.test.js - Token buckets of the routes that start yt-dlp, in Redis and in process
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, setYtDlpScenarios } from './helpers/harness.js';
+
+let harness;
+
+before(async () => {
+    // 3 searches per minute: a token comes back every 20 seconds
+    harness = await createTestApp({ env: { RATE_LIMIT_SEARCH: '3/60', TRUST_PROXY: 'true' } });
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    setYtDlpScenarios([{ match: 'search', json: [] }]);
+});
+
+const search = (options = {}, query = 'q=night') => harness.request('GET', `/search?${query}`, options);
+const fromIp = ip => ({ headers: { 'X-Forwarded-For': ip } });
+
+test('requests are refused with 429 once the bucket is empty', async () => {
+    for (let request = 0; request < 3; request++) {
+        assert.equal((await search({ uid: 'user-empty' })).status, 200);
+    }
+    const refused = await search({ uid: 'user-empty' });
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.success, false);
+    assert.match(refused.body.message, /try again in 20 seconds/);
+    assert.ok(harness.redis.keys().includes('ratelimit:search:user:user-empty'));
+});
+
+test('responses tell the limit, what is left and when to retry', async () => {
+    const first = await search({ uid: 'user-headers' });
+    assert.equal(first.headers['ratelimit-limit'], '3');
+    assert.equal(first.headers['ratelimit-remaining'], '2');
+    assert.equal(first.headers['ratelimit-policy'], '3;w=60');
+    assert.equal(first.headers['ratelimit-reset'], '20');
+    assert.equal(first.headers['retry-after'], undefined);
+
+    await search({ uid: 'user-headers' });
+    await search({ uid: 'user-headers' });
+    const refused = await search({ uid: 'user-headers' });
+    assert.equal(refused.headers['ratelimit-remaining'], '0');
+    assert.equal(refused.headers['retry-after'], '20');
+});
+
+test('signed-in users have a bucket each, everyone else one per IP', async () => {
+    for (let request = 0; request < 4; request++) {
+        await search({ uid: 'user-busy' });
+        await search(fromIp('203.0.113.1'));
+    }
+    assert.equal((await search({ uid: 'user-busy' })).status, 429);
+    assert.equal((await search({ uid: 'user-idle' })).status, 200);
+    assert.equal((await search(fromIp('203.0.113.1'))).status, 429);
+    assert.equal((await search(fromIp('203.0.113.2'))).status, 200);
+    // Signing in from a limited IP uses the user's own bucket
+    assert.equal((await search({ uid: 'user-idle', ...fromIp('203.0.113.1') })).status, 200);
+});
+
+test('a search of every provider takes a token per provider', async () => {
+    const first = await search({ uid: 'user-all' }, 'q=night&source=all');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['ratelimit-remaining'], '1');
+    assert.equal((await search({ uid: 'user-all' }, 'q=night&source=all')).status, 429);
+    assert.equal((await search({ uid: 'user-all' })).status, 200);
+});
+
+test('while Redis fails, the limits hold in process', async () => {
+    const { eval: redisEval } = harness.redis;
+    harness.redis.eval = async () => {
+        throw new Error('Connection lost');
+    };
+    try {
+        for (let request = 0; request < 3; request++) {
+            assert.equal((await search({ uid: 'user-fallback' })).status, 200);
+        }
+        const refused = await search({ uid: 'user-fallback' });
+        assert.equal(refused.status, 429);
+        assert.equal(refused.headers['retry-after'], '20');
+        assert.ok(!harness.redis.keys().includes('ratelimit:search:user:user-fallback'));
+    } finally {
+        harness.redis.eval = redisEval;
+    }
+});
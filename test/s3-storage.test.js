@@ -0,0 +1,157 @@
+// test/s3-storage.test.js - The S3 storage backend against a stand-in S3 client
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
+import { createS3Storage } from '../storage/s3-storage.js';
+
+const OPTIONS = { bucket: 'music', region: 'eu-west-1', signedUrlTtlMs: 15 * 60 * 1000 };
+
+// Error the S3 client throws for a missing object
+const notFound = name => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+
+/**
+ * Stand-in for S3Client that keeps objects in a Map and records every command sent.
+ */
+function createFakeS3Client() {
+    const objects = new Map();
+    const sent = [];
+    return {
+        objects,
+        sent,
+        async send(command) {
+            const name = command.constructor.name;
+            const input = command.input;
+            sent.push({ name, input });
+            const object = objects.get(input.Key);
+            switch (name) {
+            case 'HeadObjectCommand':
+                if (!object) {
+                    throw notFound('NotFound');
+                }
+                return { ContentLength: object.data.length, ETag: '"etag-1"', LastModified: object.lastModified };
+            case 'GetObjectCommand': {
+                if (!object) {
+                    throw notFound('NoSuchKey');
+                }
+                const [, start, end] = /^bytes=(\d+)-(\d*)$/.exec(input.Range || '') || [];
+                const data = start === undefined ? object.data : object.data.subarray(Number(start), end ? Number(end) + 1 : undefined);
+                return { Body: Object.assign(Readable.from([data]), { transformToByteArray: async () => new Uint8Array(data) }) };
+            }
+            case 'PutObjectCommand': {
+                const data = typeof input.Body?.pipe === 'function' ? Buffer.from(await text(input.Body)) : Buffer.from(input.Body);
+                objects.set(input.Key, { data, contentType: input.ContentType, lastModified: new Date() });
+                return {};
+            }
+            case 'DeleteObjectCommand':
+                objects.delete(input.Key);
+                return {};
+            case 'ListObjectsV2Command': {
+                // Pages of two objects, to see continuation tokens followed
+                const keys = [...objects.keys()].filter(key => key.startsWith(input.Prefix)).sort();
+                const from = Number(input.ContinuationToken || 0);
+                const page = keys.slice(from, from + 2);
+                return {
+                    Contents: page.map(key => ({ Key: key, Size: objects.get(key).data.length, LastModified: objects.get(key).lastModified })),
+                    IsTruncated: from + 2 < keys.length,
+                    NextContinuationToken: String(from + 2)
+                };
+            }
+            default:
+                throw new Error(`Unexpected command ${name}`);
+            }
+        }
+    };
+}
+
+test('a bucket is required', () => {
+    assert.throws(() => createS3Storage({ ...OPTIONS, bucket: undefined }), /requires a bucket name/);
+});
+
+test('files are uploaded, written, read and deleted in the bucket', async () => {
+    const client = createFakeS3Client();
+    const storage = createS3Storage({ ...OPTIONS, client });
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-backend-s3-'));
+    try {
+        const localPath = path.join(tempDir, 'track.mp3');
+        await fs.promises.writeFile(localPath, 'audio bytes');
+        await storage.upload(localPath, 'audio/abc.mp3', { contentType: 'audio/mpeg' });
+    } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+    await storage.write('audio/abc.json', '{"title":"A"}', { contentType: 'application/json' });
+
+    const upload = client.sent.find(({ input }) => input.Key === 'audio/abc.mp3');
+    assert.equal(upload.name, 'PutObjectCommand');
+    assert.equal(upload.input.Bucket, 'music');
+    assert.equal(upload.input.ContentLength, 11);
+    assert.equal(upload.input.ContentType, 'audio/mpeg');
+    assert.equal(client.objects.get('audio/abc.mp3').data.toString(), 'audio bytes');
+
+    assert.equal((await storage.read('audio/abc.json')).toString(), '{"title":"A"}');
+    assert.equal(await storage.read('audio/missing.json'), null);
+    assert.equal(await storage.exists('audio/abc.mp3'), true);
+
+    await storage.delete('audio/abc.mp3');
+    assert.equal(await storage.exists('audio/abc.mp3'), false);
+});
+
+test('stat reports the object, openReadStream asks for the byte range', async () => {
+    const client = createFakeS3Client();
+    const storage = createS3Storage({ ...OPTIONS, client });
+    await storage.write('audio/abc.mp3', 'abcdefghij', { contentType: 'audio/mpeg' });
+
+    const stats = await storage.stat('audio/abc.mp3');
+    assert.equal(stats.size, 10);
+    assert.equal(stats.etag, '"etag-1"');
+    assert.ok(stats.lastModified instanceof Date);
+    assert.equal(await storage.stat('audio/missing.mp3'), null);
+
+    assert.equal(await text(await storage.openReadStream('audio/abc.mp3', { start: 2, end: 5 })), 'cdef');
+    assert.equal(client.sent.at(-1).input.Range, 'bytes=2-5');
+    assert.equal(await text(await storage.openReadStream('audio/abc.mp3')), 'abcdefghij');
+    assert.equal(client.sent.at(-1).input.Range, undefined);
+});
+
+test('errors other than a missing object are passed on', async () => {
+    const client = {
+        async send() {
+            throw Object.assign(new Error('Access Denied'), { name: 'AccessDenied', $metadata: { httpStatusCode: 403 } });
+        }
+    };
+    const storage = createS3Storage({ ...OPTIONS, client });
+    await assert.rejects(storage.exists('audio/abc.mp3'), /Access Denied/);
+    await assert.rejects(storage.stat('audio/abc.mp3'), /Access Denied/);
+    await assert.rejects(storage.read('audio/abc.mp3'), /Access Denied/);
+});
+
+test('list follows continuation tokens through every page', async () => {
+    const client = createFakeS3Client();
+    const storage = createS3Storage({ ...OPTIONS, client });
+    for (const key of ['audio/a.mp3', 'audio/b.mp3', 'audio/c.json', 'audio/nested/d.json', 'albums/e.zip']) {
+        await storage.write(key, 'xy', {});
+    }
+
+    const files = await storage.list('audio/');
+    assert.deepEqual(files.map(file => file.key), ['audio/a.mp3', 'audio/b.mp3', 'audio/c.json', 'audio/nested/d.json']);
+    assert.equal(files[0].size, 2);
+    assert.equal(client.sent.filter(({ name }) => name === 'ListObjectsV2Command').length, 2);
+});
+
+test('URLs are presigned for the configured time, at most a week, unless the bucket is public', async () => {
+    const credentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret' };
+    const signed = new URL(await createS3Storage({ ...OPTIONS, ...credentials }).getUrl('audio/abc.mp3'));
+    assert.equal(signed.hostname, 'music.s3.eu-west-1.amazonaws.com');
+    assert.equal(signed.pathname, '/audio/abc.mp3');
+    assert.equal(signed.searchParams.get('X-Amz-Expires'), '900');
+    assert.ok(signed.searchParams.get('X-Amz-Signature'));
+
+    const longLived = new URL(await createS3Storage({ ...OPTIONS, ...credentials, signedUrlTtlMs: 30 * 24 * 60 * 60 * 1000 }).getUrl('audio/abc.mp3'));
+    assert.equal(longLived.searchParams.get('X-Amz-Expires'), String(7 * 24 * 60 * 60));
+
+    const publicStorage = createS3Storage({ ...OPTIONS, client: createFakeS3Client(), publicUrl: 'https://cdn.example/music/' });
+    assert.equal(await publicStorage.getUrl('audio/a b.mp3'), 'https://cdn.example/music/audio/a%20b.mp3');
+});
@@ -0,0 +1,111 @@
+// test/search.test.js - GET /search against the fake yt-dlp
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registry } from '../metrics.js';
+import { createTestApp, setYtDlpScenarios, ytdlpCalls } from './helpers/harness.js';
+
+const soundcloudTrack = (id, title) => ({
+    id,
+    title,
+    webpage_url: `https://soundcloud.com/artist/${id}`,
+    uploader: 'Artist',
+    thumbnail: `https://i1.sndcdn.com/${id}.jpg`
+});
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp({ env: { ADMIN_UIDS: 'admin-1' } });
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    setYtDlpScenarios([]);
+});
+
+test('a first search runs yt-dlp, the same search again is served from the cache', async () => {
+    setYtDlpScenarios([
+        { match: 'scsearch30:Night Drive', json: [soundcloudTrack('a1', 'Night Drive'), soundcloudTrack('a2', 'Night Drive (Remix)')] }
+    ]);
+
+    const first = await harness.request('GET', '/search?q=Night%20Drive');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.cached, false);
+    assert.deepEqual(first.body.results.map(result => result.title), ['Night Drive', 'Night Drive (Remix)']);
+    assert.equal(first.body.results[0].provider, 'soundcloud');
+    assert.equal(first.body.results[0].url, 'https://soundcloud.com/artist/a1');
+    assert.equal(ytdlpCalls().length, 1);
+    assert.ok(harness.redis.keys().some(key => key.startsWith('search:soundcloud.0.30:')));
+
+    // Differently spelled, same normalized query
+    const second = await harness.request('GET', '/search?q=%20night%20%20DRIVE%20');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.cached, true);
+    assert.deepEqual(second.body.results, first.body.results);
+    assert.equal(ytdlpCalls().length, 1);
+});
+
+test('limit and offset select a page of results', async () => {
+    setYtDlpScenarios([{ match: 'scsearch4:paging', json: [soundcloudTrack('p3', 'Three'), soundcloudTrack('p4', 'Four')] }]);
+
+    const { status, body } = await harness.request('GET', '/search?q=paging&limit=2&offset=2');
+    assert.equal(status, 200);
+    assert.equal(body.offset, 2);
+    assert.equal(body.nextOffset, 4);
+    const [args] = ytdlpCalls();
+    assert.deepEqual(args.slice(-3), ['--playlist-items', '3:4', 'scsearch4:paging']);
+});
+
+test('source=all merges the providers and reports the ones that failed', async () => {
+    setYtDlpScenarios([
+        { match: 'scsearch30:mixed', json: [soundcloudTrack('m1', 'Mixed Up')] },
+        { match: 'ytsearch30:mixed', exitCode: 1, stderr: 'ERROR: [youtube:search] Sign in to confirm you\'re not a bot. Use --cookies-from-browser or --cookies for the authentication.\n' }
+    ]);
+
+    const { status, body } = await harness.request('GET', '/search?q=mixed&source=all');
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => result.title), ['Mixed Up']);
+    assert.deepEqual(body.failedProviders, [{ provider: 'youtube', code: 'BOT_CHECK', retryable: true }]);
+});
+
+test('a failed search answers with the error code, never with the raw stderr', async () => {
+    setYtDlpScenarios([
+        { match: 'scsearch30:blocked', exitCode: 1, stderr: 'ERROR: [soundcloud:search] blocked: HTTP Error 429: Too Many Requests\n' }
+    ]);
+
+    const { status, body } = await harness.request('GET', '/search?q=blocked');
+    assert.equal(status, 503);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.equal(body.retryable, true);
+    assert.doesNotMatch(JSON.stringify(body), /HTTP Error 429/);
+
+    const failures = await registry.getSingleMetricAsString('ytdlp_failures_total');
+    assert.match(failures, /^ytdlp_failures_total\{code="RATE_LIMITED"\} 1$/m);
+});
+
+test('bad parameters are rejected before yt-dlp runs', async () => {
+    for (const query of ['', '?q=', '?q=x&source=spotify', '?q=x&limit=0', '?q=x&limit=51', '?q=x&offset=-1', '?q=x&offset=abc']) {
+        const { status, body } = await harness.request('GET', `/search${query}`);
+        assert.equal(status, 400, query);
+        assert.equal(body.success, false);
+    }
+    assert.equal(ytdlpCalls().length, 0);
+});
+
+test('only administrators can evict cached searches', async () => {
+    setYtDlpScenarios([{ match: 'scsearch30:evicted', json: [soundcloudTrack('e1', 'Evicted')] }]);
+    await harness.request('GET', '/search?q=evicted');
+
+    assert.equal((await harness.request('DELETE', '/search/cache?q=evicted')).status, 401);
+    const refused = await harness.request('DELETE', '/search/cache?q=evicted', { uid: 'user-1' });
+    assert.equal(refused.status, 403);
+    assert.equal((await harness.request('GET', '/search?q=evicted')).body.cached, true);
+
+    const evicted = await harness.request('DELETE', '/search/cache?q=evicted', { uid: 'admin-1' });
+    assert.deepEqual(evicted.body, { success: true, removed: 1 });
+    assert.equal((await harness.request('GET', '/search?q=evicted')).body.cached, false);
+});
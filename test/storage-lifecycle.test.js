@@ -0,0 +1,193 @@
+// test/storage-lifecycle.test.js - Stored file groups, quota eviction and the temp sweep
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { storageGroupOf, createAccessTracker, createStorageMaintenance } from '../storage-lifecycle.js';
+import { createRedisLibraryStore, createMemoryLibraryStore } from '../library-store.js';
+import { createMemoryPlaylistStore } from '../playlist-store.js';
+import { createMemoryStorage } from './helpers/memory-storage.js';
+import { createMemoryRedis } from './helpers/memory-redis.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const OLD = 'a'.repeat(32);
+const MIDDLE = 'b'.repeat(32);
+const RECENT = 'c'.repeat(32);
+
+let storage;
+let accessTracker;
+let tempDir;
+
+beforeEach(async () => {
+    storage = createMemoryStorage();
+    accessTracker = createAccessTracker({ redisClient: null });
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'music-backend-lifecycle-'));
+});
+
+afterEach(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+// Writes a stored file of the given size, last modified hoursAgo hours ago
+async function store(key, bytes, hoursAgo) {
+    await storage.write(key, Buffer.alloc(bytes), 'application/octet-stream');
+    storage.files.get(key).lastModified = new Date(Date.now() - hoursAgo * HOUR_MS);
+}
+
+// One track with its audio (100 bytes) and metadata record (10 bytes)
+async function storeTrack(hash, hoursAgo) {
+    await store(`audio/${hash}.mp3`, 100, hoursAgo);
+    await store(`audio/${hash}.json`, 10, hoursAgo);
+}
+
+function maintenanceWith(options = {}) {
+    return createStorageMaintenance({
+        storage,
+        accessTracker,
+        tempDir,
+        quotaBytes: 250,
+        minIdleMs: HOUR_MS,
+        tempMaxAgeMs: HOUR_MS,
+        ...options
+    });
+}
+
+async function touchTemp(name, hoursAgo) {
+    const filePath = path.join(tempDir, name);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, 'partial');
+    const time = new Date(Date.now() - hoursAgo * HOUR_MS);
+    await fs.promises.utimes(filePath, time, time);
+}
+
+test('variants, metadata, waveform, lyrics and normalized copies share the track group', () => {
+    const keys = [
+        `audio/${OLD}.mp3`,
+        `audio/${OLD}.320k.opus`,
+        `audio/${OLD}.json`,
+        `audio/${OLD}.waveform.json`,
+        `audio/${OLD}.lyrics.json`,
+        `audio/${OLD}.normalized.mp3`
+    ];
+    for (const key of keys) {
+        assert.equal(storageGroupOf(key), `audio/${OLD}`, key);
+    }
+    assert.equal(storageGroupOf(`albums/${MIDDLE}.mp3.zip`), `albums/${MIDDLE}`);
+});
+
+test('usage sorts groups least recently used first, a recorded access counting as use', async () => {
+    await storeTrack(OLD, 10);
+    await storeTrack(MIDDLE, 5);
+    await storeTrack(RECENT, 2);
+    await store(`albums/${MIDDLE}.mp3.zip`, 40, 8);
+    await accessTracker.record(`audio/${OLD}`);
+
+    const { totalBytes, fileCount, groups } = await maintenanceWith().usage();
+    assert.equal(totalBytes, 370);
+    assert.equal(fileCount, 7);
+    assert.deepEqual(groups.map(group => group.id), [`albums/${MIDDLE}`, `audio/${MIDDLE}`, `audio/${RECENT}`, `audio/${OLD}`]);
+    assert.deepEqual(groups[1].keys.sort(), [`audio/${MIDDLE}.json`, `audio/${MIDDLE}.mp3`]);
+    assert.equal(groups[1].bytes, 110);
+});
+
+test('the least recently used groups are evicted whole until the quota fits', async () => {
+    await storeTrack(OLD, 10);
+    await store(`audio/${OLD}.waveform.json`, 5, 10);
+    await store(`audio/${OLD}.lyrics.json`, 5, 10);
+    await storeTrack(MIDDLE, 5);
+    await storeTrack(RECENT, 2);
+    const forgotten = [];
+    const tracker = { all: () => accessTracker.all(), forget: async groups => forgotten.push(...groups) };
+
+    const result = await maintenanceWith({ accessTracker: tracker }).enforceQuota();
+    assert.deepEqual(result.evicted.map(group => group.id), [`audio/${OLD}`]);
+    assert.equal(result.freedBytes, 120);
+    assert.equal(result.overQuota, false);
+    assert.deepEqual([...storage.files.keys()].filter(key => key.includes(OLD)), []);
+    assert.equal(storage.files.size, 4);
+    assert.deepEqual(forgotten, [`audio/${OLD}`]);
+});
+
+test('eviction stops at groups used within minIdleMs, leaving the store over quota', async () => {
+    await storeTrack(OLD, 10);
+    await storeTrack(MIDDLE, 0.5);
+    await storeTrack(RECENT, 0.1);
+
+    const result = await maintenanceWith({ quotaBytes: 150 }).enforceQuota();
+    assert.deepEqual(result.evicted.map(group => group.id), [`audio/${OLD}`]);
+    assert.equal(result.overQuota, true);
+    assert.ok(storage.files.has(`audio/${MIDDLE}.mp3`));
+    assert.ok(storage.files.has(`audio/${RECENT}.mp3`));
+});
+
+test('a dry run lists what would be evicted and deletes nothing', async () => {
+    await storeTrack(OLD, 10);
+    await storeTrack(MIDDLE, 5);
+    await storeTrack(RECENT, 2);
+
+    const result = await maintenanceWith().enforceQuota({ dryRun: true });
+    assert.deepEqual(result.evicted.map(group => group.id), [`audio/${OLD}`]);
+    assert.equal(result.freedBytes, 110);
+    assert.equal(storage.files.size, 6);
+});
+
+test('groups still in a library or playlist are skipped', async () => {
+    await storeTrack(OLD, 10);
+    await storeTrack(MIDDLE, 5);
+    await storeTrack(RECENT, 2);
+
+    const maintenance = maintenanceWith({ quotaBytes: 150, referencedGroups: async () => new Set([`audio/${OLD}`]) });
+    const result = await maintenance.enforceQuota();
+    assert.deepEqual(result.evicted.map(group => group.id), [`audio/${MIDDLE}`, `audio/${RECENT}`]);
+    assert.equal(result.keptReferenced, 1);
+    assert.ok(storage.files.has(`audio/${OLD}.json`));
+});
+
+test('library and playlist stores report every track they reference', async () => {
+    for (const libraryStore of [createRedisLibraryStore(createMemoryRedis()), createMemoryLibraryStore()]) {
+        await libraryStore.add('user-1', OLD);
+        await libraryStore.add('user-2', OLD);
+        await libraryStore.add('user-2', MIDDLE);
+        assert.deepEqual([...await libraryStore.referencedHashes()].sort(), [OLD, MIDDLE]);
+    }
+    const playlistStore = createMemoryPlaylistStore();
+    await playlistStore.save({ id: 'p1', ownerUid: 'user-1', tracks: [{ id: 'e1', hash: RECENT }], version: 0 });
+    await playlistStore.save({ id: 'p2', ownerUid: 'user-2', tracks: [], version: 0 });
+    assert.deepEqual([...await playlistStore.referencedHashes()], [RECENT]);
+});
+
+test('nothing is evicted when the references cannot be read, or without a quota', async () => {
+    await storeTrack(OLD, 10);
+    await storeTrack(MIDDLE, 5);
+
+    const failing = maintenanceWith({ quotaBytes: 100, referencedGroups: async () => { throw new Error('Redis is down'); } });
+    await assert.rejects(failing.enforceQuota(), /Redis is down/);
+    assert.equal(storage.files.size, 4);
+
+    const result = await maintenanceWith({ quotaBytes: null }).enforceQuota();
+    assert.deepEqual(result.evicted, []);
+    assert.equal(result.overQuota, false);
+    assert.equal(storage.files.size, 4);
+});
+
+test('the temp sweep removes old files directly in the temp directory only', async () => {
+    await touchTemp('crashed.webm.part', 3);
+    await touchTemp('running.webm.part', 0);
+    await touchTemp(path.join('storage', 'audio', 'kept.mp3'), 3);
+
+    const dryRun = await maintenanceWith().sweepTemp({ dryRun: true });
+    assert.deepEqual(dryRun.removed.map(file => file.name), ['crashed.webm.part']);
+    assert.ok(fs.existsSync(path.join(tempDir, 'crashed.webm.part')));
+
+    const swept = await maintenanceWith().sweepTemp();
+    assert.deepEqual(swept.removed, [{ name: 'crashed.webm.part', bytes: 7 }]);
+    assert.equal(swept.freedBytes, 7);
+    assert.deepEqual((await fs.promises.readdir(tempDir)).sort(), ['running.webm.part', 'storage']);
+    assert.ok(fs.existsSync(path.join(tempDir, 'storage', 'audio', 'kept.mp3')));
+});
+
+test('a missing temp directory sweeps nothing', async () => {
+    const result = await maintenanceWith({ tempDir: path.join(tempDir, 'missing') }).sweepTemp();
+    assert.deepEqual(result, { removed: [], freedBytes: 0 });
+});
@@ -0,0 +1,90 @@
+// test/stream.test.js - GET /stream/:hash: ranges, conditional requests and what is not served
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createTestApp } from './helpers/harness.js';
+
+const HASH = 'd'.repeat(32);
+const AUDIO = 'abcdefghijklmnopqrst';
+
+let harness;
+
+before(async () => {
+    harness = await createTestApp();
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(async () => {
+    harness.storage.files.clear();
+    await harness.storage.write(`audio/${HASH}.mp3`, AUDIO);
+});
+
+test('the whole file is streamed with its validators', async () => {
+    const response = await harness.request('GET', `/stream/${HASH}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body, AUDIO);
+    assert.equal(response.headers['content-type'], 'audio/mpeg');
+    assert.equal(response.headers['content-length'], String(AUDIO.length));
+    assert.equal(response.headers['accept-ranges'], 'bytes');
+    assert.match(response.headers.etag, /^"14-[0-9a-f]+"$/);
+    assert.ok(response.headers['last-modified']);
+});
+
+test('a byte range is answered with 206 and its Content-Range', async () => {
+    const response = await harness.request('GET', `/stream/${HASH}`, { headers: { Range: 'bytes=5-9' } });
+    assert.equal(response.status, 206);
+    assert.equal(response.body, 'fghij');
+    assert.equal(response.headers['content-range'], `bytes 5-9/${AUDIO.length}`);
+    assert.equal(response.headers['content-length'], '5');
+
+    const suffix = await harness.request('GET', `/stream/${HASH}`, { headers: { Range: 'bytes=-4' } });
+    assert.equal(suffix.status, 206);
+    assert.equal(suffix.body, 'qrst');
+    assert.equal(suffix.headers['content-range'], `bytes 16-19/${AUDIO.length}`);
+});
+
+test('a matching If-None-Match is answered with 304', async () => {
+    const { headers } = await harness.request('GET', `/stream/${HASH}`);
+    const response = await harness.request('GET', `/stream/${HASH}`, { headers: { 'If-None-Match': headers.etag } });
+    assert.equal(response.status, 304);
+    assert.equal(response.body, '');
+    assert.equal(response.headers.etag, headers.etag);
+});
+
+test('a range past the end of the file is answered with 416', async () => {
+    const response = await harness.request('GET', `/stream/${HASH}`, { headers: { Range: 'bytes=100-200' } });
+    assert.equal(response.status, 416);
+    assert.equal(response.headers['content-range'], `bytes */${AUDIO.length}`);
+    assert.equal(response.body.success, false);
+});
+
+test('a range with a stale If-Range gets the whole file, a current one the range', async () => {
+    const { headers } = await harness.request('GET', `/stream/${HASH}`);
+
+    const stale = await harness.request('GET', `/stream/${HASH}`, { headers: { Range: 'bytes=0-3', 'If-Range': '"0-0"' } });
+    assert.equal(stale.status, 200);
+    assert.equal(stale.body, AUDIO);
+    assert.equal(stale.headers['content-range'], undefined);
+
+    const current = await harness.request('GET', `/stream/${HASH}`, { headers: { Range: 'bytes=0-3', 'If-Range': headers.etag } });
+    assert.equal(current.status, 206);
+    assert.equal(current.body, 'abcd');
+});
+
+test('a missing track is 404 and a malformed hash 400', async () => {
+    assert.equal((await harness.request('GET', `/stream/${'e'.repeat(32)}`)).status, 404);
+    assert.equal((await harness.request('GET', '/stream/not-a-hash')).status, 400);
+});
+
+test('the temporary download directory is not served', async () => {
+    await fs.promises.mkdir(path.join(harness.audioDir, 'audio'), { recursive: true });
+    await fs.promises.writeFile(path.join(harness.audioDir, 'audio', `${HASH}.mp3`), AUDIO);
+    await fs.promises.writeFile(path.join(harness.audioDir, `${HASH}.webm.part`), AUDIO);
+
+    assert.equal((await harness.request('GET', `/audio/audio/${HASH}.mp3`)).status, 404);
+    assert.equal((await harness.request('GET', `/audio/${HASH}.webm.part`)).status, 404);
+});
@@ -0,0 +1,62 @@
+// test/ytdlp-errors.test.js - Classification of captured yt-dlp stderr (test/fixtures/ytdlp-stderr)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { YTDLP_ERRORS, YtDlpError, classifyYtDlpOutput, toYtDlpError } from '../ytdlp-errors.js';
+
+const FIXTURES_DIR = new URL('./fixtures/ytdlp-stderr/', import.meta.url);
+
+// Fixture file -> the code its stderr must be classified as
+const EXPECTED_CODES = {
+    'youtube-removed.txt': 'NOT_FOUND',
+    'soundcloud-404.txt': 'NOT_FOUND',
+    'search-no-entries.txt': 'NOT_FOUND',
+    'youtube-private.txt': 'PRIVATE',
+    'youtube-members-only.txt': 'PRIVATE',
+    // Also says "Video unavailable", which must not win over the more specific cause
+    'youtube-geo-blocked.txt': 'GEO_BLOCKED',
+    'youtube-bot-check.txt': 'BOT_CHECK',
+    'soundcloud-429.txt': 'RATE_LIMITED',
+    'handshake-timed-out.txt': 'TIMEOUT',
+    'unsupported-url.txt': 'UNSUPPORTED_URL',
+    'ffmpeg-missing.txt': 'TOOLING_MISSING',
+    'bandcamp-extractor-broken.txt': 'UNKNOWN'
+};
+
+test('every fixture has an expected code', () => {
+    assert.deepEqual(fs.readdirSync(FIXTURES_DIR).sort(), Object.keys(EXPECTED_CODES).sort());
+});
+
+for (const [fixture, code] of Object.entries(EXPECTED_CODES)) {
+    test(`${fixture} is classified as ${code}`, () => {
+        const stderr = fs.readFileSync(new URL(fixture, FIXTURES_DIR), 'utf8');
+        assert.equal(classifyYtDlpOutput(stderr), code);
+    });
+}
+
+test('a missing yt-dlp binary and a timeout are classified from the run, not the output', () => {
+    assert.equal(classifyYtDlpOutput('', { spawnErrorCode: 'ENOENT' }), 'TOOLING_MISSING');
+    assert.equal(classifyYtDlpOutput('', { timedOut: true }), 'TIMEOUT');
+    assert.equal(classifyYtDlpOutput(undefined), 'UNKNOWN');
+});
+
+test('every code has an HTTP error status, a retryable flag and a message', () => {
+    for (const [code, { status, retryable, message }] of Object.entries(YTDLP_ERRORS)) {
+        assert.ok(status >= 400 && status < 600, code);
+        assert.equal(typeof retryable, 'boolean', code);
+        assert.ok(message.length > 0, code);
+    }
+});
+
+test('toYtDlpError keeps the raw stderr out of the error it returns', () => {
+    const stderr = fs.readFileSync(new URL('youtube-private.txt', FIXTURES_DIR), 'utf8');
+    const runError = Object.assign(new Error('yt-dlp exited with code 1'), { stderr, timedOut: false });
+
+    const error = toYtDlpError(runError, 'test');
+    assert.ok(error instanceof YtDlpError);
+    assert.equal(error.code, 'PRIVATE');
+    assert.equal(error.status, 403);
+    assert.equal(error.retryable, false);
+    assert.equal(error.message, YTDLP_ERRORS.PRIVATE.message);
+    assert.equal(toYtDlpError(error, 'test'), error);
+});
@@ -0,0 +1,141 @@
+// track-metadata.js - Track metadata stored next to each processed audio file
+
+/**
+ * Tells whether a string is a track hash (the md5 hex digest of a source URL).
+ */
+export function isTrackHash(value) {
+    return typeof value === 'string' && /^[a-f0-9]{32}$/.test(value);
+}
+
+/**
+ * Key of the metadata record for a URL hash, next to the audio file 'audio/<hash>.mp3'.
+ */
+export function metadataKey(hash) {
+    return `audio/${hash}.json`;
+}
+
+/**
+ * Builds the stored metadata record from a yt-dlp info JSON object.
+ *
+ * @param {object} info - Parsed yt-dlp info JSON
+ * @param {object} details
+ * @param {string} details.hash - md5 hash of the source URL
+ * @param {string} details.sourceUrl - URL the track was requested with
+ */
+export function buildTrackRecord(info, { hash, sourceUrl }) {
+    const thumbnails = Array.isArray(info.thumbnails) ? info.thumbnails : [];
+    return {
+        hash,
+        title: info.title || info.track || 'Unknown',
+        artist: info.artist || info.uploader || info.channel || 'Unknown',
+        uploader: info.uploader || info.channel || null,
+        album: info.album || null,
+        year: info.release_year || parseInt((info.release_date || info.upload_date || '').slice(0, 4), 10) || null,
+        trackNumber: info.track_number || null,
+        duration: typeof info.duration === 'number' ? info.duration : null,
+        thumbnail: (info.thumbnail && info.thumbnail.trim()) ? info.thumbnail : (thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null),
+        sourceId: info.id || null,
+        extractor: info.extractor_key || info.extractor || null,
+        sourceUrl,
+        webpageUrl: info.webpage_url || sourceUrl,
+        variants: {},
+        processedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Returns a copy of the record that lists the given output variant (see audio-formats.js)
+ * as stored under storageKey. A track has one record, however many formats it was processed to.
+ */
+export function withVariant(record, variant, storageKey) {
+    return {
+        ...record,
+        variants: {
+            ...record.variants,
+            [variant.id]: {
+                format: variant.format,
+                quality: variant.quality,
+                storageKey,
+                processedAt: new Date().toISOString()
+            }
+        }
+    };
+}
+
+/**
+ * Returns a copy of the record with the results of an audio analysis (see audio-analysis.js):
+ * the exact duration, the analysis itself and, if one was made, the normalized copy of the variant.
+ *
+ * @param {object} record
+ * @param {object} analyzed - { analysis, normalized } where normalized is { storageKey, targetLufs } or null
+ * @param {string} variantId - Variant the analysed file belongs to
+ */
+export function withAnalysis(record, { analysis, normalized }, variantId) {
+    const updated = { ...record, duration: analysis.duration, analysis };
+    if (normalized && record.variants?.[variantId]) {
+        updated.variants = {
+            ...record.variants,
+            [variantId]: { ...record.variants[variantId], normalized }
+        };
+    }
+    return updated;
+}
+
+/**
+ * The entry of a variant listed in the record: the requested one if given,
+ * otherwise the default variant if it was processed, otherwise any.
+ * Returns null if the record lists no such variant.
+ */
+export function recordedVariant(record, variantId, defaultVariantId) {
+    const variants = record?.variants || {};
+    if (variantId) {
+        return variants[variantId] || null;
+    }
+    return variants[defaultVariantId] || Object.values(variants)[0] || null;
+}
+
+/**
+ * Storage key of a variant listed in the record (see recordedVariant), or null.
+ */
+export function recordedStorageKey(record, variantId, defaultVariantId) {
+    return recordedVariant(record, variantId, defaultVariantId)?.storageKey || null;
+}
+
+/**
+ * Creates a store for track metadata records on top of a storage backend.
+ * Records are JSON files, so they live wherever the audio does.
+ */
+export function createTrackMetadataStore(storage) {
+    // Pending updates per hash, so concurrent jobs for one track don't overwrite each other's changes
+    const updateChains = new Map();
+
+    async function get(hash) {
+        const contents = await storage.read(metadataKey(hash));
+        return contents ? JSON.parse(contents.toString('utf8')) : null;
+    }
+
+    async function save(record) {
+        await storage.write(metadataKey(record.hash), JSON.stringify(record, null, 2), { contentType: 'application/json' });
+        return record;
+    }
+
+    /**
+     * Reads the record, passes it (or null) to updater and saves what updater returns.
+     * Updates of the same hash run one after another within this process.
+     */
+    function update(hash, updater) {
+        const previous = updateChains.get(hash) || Promise.resolve();
+        const result = previous
+            .catch(() => {})
+            .then(async () => save(await updater(await get(hash))));
+        updateChains.set(hash, result);
+        result.catch(() => {}).finally(() => {
+            if (updateChains.get(hash) === result) {
+                updateChains.delete(hash);
+            }
+        });
+        return result;
+    }
+
+    return { get, save, update };
+}
@@ -0,0 +1,89 @@
+// ytdlp-errors.js - Classification of yt-dlp/ffmpeg failures into stable error codes
+// Clients get the code, an HTTP status, whether retrying may help and a short message;
+// the raw stderr only ever goes to the server log.
+
+/**
+ * Every error code with its HTTP status, whether the same request may succeed later,
+ * and the message shown to users.
+ */
+export const YTDLP_ERRORS = {
+    NOT_FOUND: { status: 404, retryable: false, message: 'Nothing was found. The track may have been removed, or the search had no results.' },
+    PRIVATE: { status: 403, retryable: false, message: 'This track is private and cannot be downloaded.' },
+    GEO_BLOCKED: { status: 451, retryable: false, message: 'This track is not available in the server\'s region.' },
+    BOT_CHECK: { status: 503, retryable: true, message: 'The source website blocked the request (bot detection/login required). Please try again later.' },
+    RATE_LIMITED: { status: 503, retryable: true, message: 'The source website is rate limiting the server. Please try again later.' },
+    TIMEOUT: { status: 504, retryable: true, message: 'The source website took too long to respond. Please try again.' },
+    UNSUPPORTED_URL: { status: 400, retryable: false, message: 'This URL is not supported. Please use a link to a track, album or playlist page.' },
+    TOOLING_MISSING: { status: 500, retryable: false, message: 'The server\'s download tools (yt-dlp/ffmpeg) are missing or outdated. Please report this.' },
+    UNKNOWN: { status: 502, retryable: false, message: 'The source website returned an unexpected error.' }
+};
+
+// Checked in order, first match wins: the more specific causes come first because yt-dlp
+// often adds generic words such as "unavailable" to them.
+const STDERR_PATTERNS = [
+    ['TOOLING_MISSING', /(ffmpeg|ffprobe)[^\n]*not found|no such option|ffmpeg is not installed|Unable to find (ffmpeg|ffprobe)/i],
+    ['BOT_CHECK', /confirm you(?:'|’)?re not a bot|Please log in|Use --cookies|captcha/i],
+    ['RATE_LIMITED', /RateLimitExceeded|HTTP Error 429|Too Many Requests/i],
+    ['GEO_BLOCKED', /not (?:made this video )?available in your country|geo[- ]?restrict|from your location|blocked it in your country/i],
+    ['PRIVATE', /Private video|This (?:track|video|playlist|set) is private|members[- ]only|HTTP Error 401/i],
+    ['UNSUPPORTED_URL', /Unsupported URL|is not a valid URL/i],
+    ['NOT_FOUND', /No entries found|No such video|HTTP Error 404|Video unavailable|unavailable|does not exist|has been removed/i],
+    ['TIMEOUT', /timed out/i]
+];
+
+/**
+ * An error from a yt-dlp run, with its classification.
+ * The job queue passes code and retryable on to clients of failed jobs.
+ */
+export class YtDlpError extends Error {
+    constructor(code, message = YTDLP_ERRORS[code].message) {
+        super(message);
+        this.name = 'YtDlpError';
+        this.code = code;
+        this.status = YTDLP_ERRORS[code].status;
+        this.retryable = YTDLP_ERRORS[code].retryable;
+    }
+}
+
+/**
+ * Works out the error code for the output of a failed yt-dlp run.
+ *
+ * @param {string} stderr - What yt-dlp (and the ffmpeg it started) printed to stderr
+ * @param {object} [details] - { timedOut, spawnErrorCode } from the run, if known
+ * @returns {string} One of the keys of YTDLP_ERRORS
+ */
+export function classifyYtDlpOutput(stderr, { timedOut = false, spawnErrorCode = null } = {}) {
+    if (spawnErrorCode === 'ENOENT') {
+        return 'TOOLING_MISSING';
+    }
+    if (timedOut) {
+        return 'TIMEOUT';
+    }
+    const match = STDERR_PATTERNS.find(([, pattern]) => pattern.test(stderr || ''));
+    return match ? match[0] : 'UNKNOWN';
+}
+
+/**
+ * Turns an error rejected by runYtDlp into a YtDlpError, logging the raw output for the server.
+ *
+ * @param {Error} error - As rejected by runYtDlp (with stdout, stderr and timedOut)
+ * @param {string} context - What was being done, for the log (e.g. "/search")
+ */
+export function toYtDlpError(error, context) {
+    if (error instanceof YtDlpError) {
+        return error;
+    }
+    const code = classifyYtDlpOutput(error.stderr, { timedOut: error.timedOut, spawnErrorCode: error.code });
+    console.error(`yt-dlp error for ${context} (${code}): ${error.message}`);
+    if (error.stderr) {
+        console.error(`stderr for ${context}: ${error.stderr}`);
+    }
+    return new YtDlpError(code);
+}
+
+/**
+ * Sends a YtDlpError as a JSON error response: { success: false, code, retryable, message }.
+ */
+export function sendYtDlpError(res, error) {
+    res.status(error.status).json({ success: false, code: error.code, retryable: error.retryable, message: error.message });
+}
@@ -0,0 +1,32 @@
+// ytdlp-progress.js - Parsing of yt-dlp download progress output
+
+// Matches lines such as:
+//   [download]  42.3% of    3.45MiB at    1.23MiB/s ETA 00:02
+//   [download]   7.0% of ~  10.12MiB at  512.00KiB/s ETA Unknown
+//   [download] 100% of    3.45MiB in 00:00:03 at 1.01MiB/s
+const PROGRESS_LINE = /^\[download\]\s+([\d.]+)%\s+of\s+~?\s*(\S+)(?:\s+in\s+\S+)?(?:\s+at\s+(\S+))?(?:\s+ETA\s+(\S+))?/;
+
+/**
+ * Parses one line of yt-dlp output (run with --newline).
+ * Returns { percent, totalSize, speed, eta } for download progress lines, null for anything else.
+ */
+export function parseDownloadProgress(line) {
+    const match = PROGRESS_LINE.exec(line.trim());
+    if (!match) {
+        return null;
+    }
+    const [, percent, totalSize, speed, eta] = match;
+    return {
+        percent: parseFloat(percent),
+        totalSize,
+        speed: speed && speed !== 'Unknown' ? speed : null,
+        eta: eta && eta !== 'Unknown' ? eta : null
+    };
+}
+
+/**
+ * Tells whether a line of yt-dlp output announces the ffmpeg audio extraction step.
+ */
+export function isConversionLine(line) {
+    return line.startsWith('[ExtractAudio]');
+}
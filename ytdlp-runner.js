@@ -0,0 +1,95 @@
+// ytdlp-runner.js - The single place where yt-dlp processes are started
+// yt-dlp is always spawned with an argument array (never through a shell), so user input
+// such as search queries and URLs is passed to it verbatim and cannot run other commands.
+import { runProcess } from './process-runner.js';
+
+// Default for YTDLP_USER_AGENT
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Options every yt-dlp call shares.
+ *
+ * @param {object} options - The 'ytdlp' section of the config
+ * @param {string} options.userAgent - Sent with every request yt-dlp makes
+ * @param {number} options.socketTimeoutSeconds - How long yt-dlp waits on a stalled connection
+ */
+export function buildCommonArgs({ userAgent, socketTimeoutSeconds }) {
+    return ['--user-agent', userAgent, '--no-check-certificate', '--socket-timeout', String(socketTimeoutSeconds)];
+}
+
+// Hosts we accept source URLs from; subdomains of these are accepted as well
+export const SUPPORTED_HOSTS = ['soundcloud.com', 'youtube.com', 'youtu.be', 'bandcamp.com'];
+
+const MAX_URL_LENGTH = 2048;
+const MAX_QUERY_LENGTH = 200;
+
+let runningProcesses = 0;
+
+/**
+ * Number of yt-dlp processes currently running.
+ */
+export function runningYtDlpProcesses() {
+    return runningProcesses;
+}
+
+/**
+ * Tells whether a URL may be handed to yt-dlp: an http(s) URL on one of the supported hosts.
+ */
+export function isSupportedSourceUrl(url) {
+    if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+        return false;
+    }
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        return false;
+    }
+    if (parsed.username || parsed.password) {
+        return false;
+    }
+    const hostname = parsed.hostname.toLowerCase();
+    return SUPPORTED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Cleans a search query before it becomes part of a yt-dlp search target.
+ * Control characters are removed, whitespace collapsed and the length capped.
+ * Returns an empty string if nothing usable is left.
+ */
+export function sanitizeSearchQuery(query) {
+    if (typeof query !== 'string') {
+        return '';
+    }
+    return query
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Runs yt-dlp with the given arguments (see runProcess in process-runner.js).
+ * Resolves with { stdout, stderr } when it exits with code 0, rejects with an error carrying
+ * stdout and stderr otherwise.
+ *
+ * @param {string[]} args - Arguments, passed to yt-dlp as-is
+ * @param {object} options
+ * @param {number} options.timeoutMs - The process is killed if it runs longer than this
+ *   (the error then has timedOut set)
+ * @param {number} options.maxOutputBytes - The process is killed if the output kept in memory
+ *   (stdout and stderr together) grows beyond this (the error then has outputLimitExceeded set)
+ * @param {Function} [options.onLine] - Called with every non-empty stdout line as it is printed;
+ *   only the tail of stdout is then kept, so long runs printing progress lines are not cut short
+ */
+export async function runYtDlp(args, { timeoutMs, maxOutputBytes, onLine }) {
+    runningProcesses++;
+    try {
+        return await runProcess('yt-dlp', args, { timeoutMs, maxOutputBytes, onLine });
+    } finally {
+        runningProcesses--;
+    }
+}